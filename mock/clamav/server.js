@@ -0,0 +1,69 @@
+// mock/clamav/server.js - clamd stand-in for local runs: INSTREAM and PING, flags the EICAR test file
+/* eslint-disable no-console -- dev stand-in, logs to the console of the cds process */
+const net = require('net');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const MAX_STREAM = 100 * 1024 * 1024;
+
+/**
+ * Handles one connection: "zINSTREAM\0" (or "nINSTREAM\n") followed by <4 byte length><data> chunks
+ * and a zero length, answered with "stream: OK" or "stream: Eicar-Test-Signature FOUND".
+ */
+function handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+    let command;
+    let terminator = '\0';
+    const data = [];
+    let size = 0;
+
+    const reply = (text) => socket.end(`${text}${terminator}`);
+
+    socket.on('error', () => socket.destroy());
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        if (!command) {
+            const end = buffer.findIndex(byte => byte === 0 || byte === 0x0a);
+            if (end < 0) return;
+            const raw = buffer.subarray(0, end).toString();
+            terminator = raw.startsWith('n') ? '\n' : '\0';
+            command = raw.replace(/^[zn]/, '');
+            buffer = buffer.subarray(end + 1);
+
+            if (command === 'PING') return reply('PONG');
+            if (command !== 'INSTREAM') return reply(`${command}: Unknown command ERROR`);
+        }
+
+        while (buffer.length >= 4) {
+            const length = buffer.readUInt32BE(0);
+            if (length === 0) {
+                const content = Buffer.concat(data).toString('latin1');
+                return reply(content.includes(EICAR) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+            }
+            if (buffer.length < 4 + length) return;
+
+            size += length;
+            if (size > MAX_STREAM) return reply('INSTREAM size limit exceeded. ERROR');
+            data.push(buffer.subarray(4, 4 + length));
+            buffer = buffer.subarray(4 + length);
+        }
+    });
+}
+
+/**
+ * Starts the stand-in; point cds.attachments.scanner at it ({ kind: 'clamav', port }).
+ * @param {object} [options]
+ * @param {number} [options.port=3310]
+ */
+function start({ port = 3310 } = {}) {
+    const server = net.createServer(handleConnection).listen(port, () => {
+        console.log(`🧪 clamd mock listening on port ${port}`);
+    });
+    return server;
+}
+
+module.exports = { start, EICAR };
+
+if (require.main === module) {
+    start({ port: Number(process.env.PORT) || 3310 });
+}
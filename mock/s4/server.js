@@ -0,0 +1,792 @@
+// mock/s4/server.js - Local S/4HANA OData V2 stand-in for offline development
+/* eslint-disable no-console -- dev stand-in, logs to the console of the cds process */
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseMultipart, parseHttpPart } = require('../../srv/lib/odata-batch');
+
+const ODATA_ROOT = '/sap/opu/odata/sap';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PO_SERVICE = 'API_PURCHASEORDER_PROCESS_SRV';
+
+// =======================================================================
+// 📦 Fixture Store
+// =======================================================================
+
+/**
+ * Loads every fixture file into memory. Each file is named after the OData
+ * service and maps entity set names to arrays of records.
+ * @returns {Map<string, object>} - service name → { entitySet: records[] }
+ */
+function loadFixtures() {
+    const services = new Map();
+    for (const file of fs.readdirSync(FIXTURES_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        const content = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        services.set(path.basename(file, '.json'), content);
+    }
+    return services;
+}
+
+const toODataDate = (date = new Date()) => `/Date(${new Date(date).getTime()})/`;
+
+// Copy of a record without one of its fields
+const withoutField = (record, field) => Object.fromEntries(Object.entries(record).filter(([key]) => key !== field));
+
+/**
+ * S/4 business errors come wrapped: the exception class in error.code, the
+ * application messages in innererror.errordetails.
+ */
+function businessError(res, status, messages) {
+    return res.status(status).json({
+        error: {
+            code: '/IWBEP/CX_MGW_BUSI_EXCEPTION',
+            message: { lang: 'en', value: messages[0].message },
+            innererror: {
+                transactionid: crypto.randomUUID().replace(/-/g, '').toUpperCase(),
+                errordetails: [
+                    ...messages.map(message => ({ severity: 'error', target: '', ...message })),
+                    { code: '/IWBEP/CX_MGW_BUSI_EXCEPTION', message: 'An exception was raised', severity: 'error', target: '' }
+                ]
+            }
+        }
+    });
+}
+
+function odataError(res, status, code, message) {
+    return res.status(status).json({
+        error: {
+            code,
+            message: { lang: 'en', value: message },
+            innererror: {
+                errordetails: [{ code, message, severity: 'error', target: '' }]
+            }
+        }
+    });
+}
+
+// =======================================================================
+// 🔎 Minimal OData V2 Query Support ($filter, $top, $skip, $select, $inlinecount, $skiptoken)
+// =======================================================================
+
+/**
+ * Parses the subset of $filter this proxy generates: comparisons joined by `and`.
+ * @param {string} filter - Raw $filter expression.
+ * @returns {Array<{field: string, op: string, value: string|number}>}
+ */
+function parseFilter(filter) {
+    if (!filter) return [];
+    const conditions = [];
+    const clause = /\(?\s*(\w+)\s+(eq|ne|gt|ge|lt|le)\s+((?:datetime|guid)?'(?:[^']|'')*'|[\w.\-:]+)\s*\)?/gy;
+    let rest = filter.trim();
+
+    while (rest.length > 0) {
+        clause.lastIndex = 0;
+        const match = clause.exec(rest);
+        if (!match) {
+            throw new Error(`Unsupported $filter expression near "${rest}"`);
+        }
+        const raw = match[3];
+        const quoted = raw.match(/^(?:datetime|guid)?'(.*)'$/s);
+        // Typed literals: 'text', datetime'…', guid'…', 12.50M (decimal), 7L (int64)
+        const value = quoted ? quoted[1].replace(/''/g, "'") : Number(raw.replace(/[MmLlDdFf]$/, ''));
+        conditions.push({ field: match[1], op: match[2], value });
+        rest = rest.slice(match[0].length).replace(/^\s*and\s+/i, '');
+    }
+    return conditions;
+}
+
+/**
+ * Server-driven paging options for applyQuery, from the serverPageSize the mock was started with.
+ * The __next link repeats the request URL with a $skiptoken, like S/4 does.
+ */
+function serverPaging(req) {
+    return {
+        size: req.app.locals.serverPageSize,
+        nextLink: (skiptoken) => {
+            const url = new URL(req.originalUrl, `${req.protocol}://${req.headers.host}`);
+            url.searchParams.set('$skiptoken', String(skiptoken));
+            return url.href;
+        }
+    };
+}
+
+function matches(record, { field, op, value }) {
+    let actual = record[field];
+    let expected = value;
+    if (typeof value === 'number') {
+        actual = Number(actual);
+    } else {
+        actual = actual === undefined || actual === null ? '' : String(actual);
+    }
+    switch (op) {
+        case 'eq': return actual === expected;
+        case 'ne': return actual !== expected;
+        case 'gt': return actual > expected;
+        case 'ge': return actual >= expected;
+        case 'lt': return actual < expected;
+        case 'le': return actual <= expected;
+        default: return false;
+    }
+}
+
+/**
+ * @param {object[]} records
+ * @param {object} query - req.query
+ * @param {object} [paging] - Server-driven paging, off unless a page size is configured.
+ * @param {number} [paging.size] - Records per response, the rest is behind a __next link.
+ * @param {(skiptoken: number) => string} [paging.nextLink]
+ */
+function applyQuery(records, query, paging = {}) {
+    const conditions = parseFilter(query.$filter);
+    let results = records.filter(record => conditions.every(condition => matches(record, condition)));
+    const count = results.length;
+
+    const skip = Number(query.$skip) || 0;
+    const top = query.$top !== undefined ? Number(query.$top) : undefined;
+    results = results.slice(skip, top !== undefined ? skip + top : undefined);
+
+    let next;
+    if (paging.size) {
+        const skiptoken = Number(query.$skiptoken) || 0;
+        if (results.length - skiptoken > paging.size) {
+            next = paging.nextLink(skiptoken + paging.size);
+        }
+        results = results.slice(skiptoken, skiptoken + paging.size);
+    }
+
+    if (query.$select) {
+        const fields = query.$select.split(',').map(f => f.trim().split('/')[0]);
+        results = results.map(record => Object.fromEntries(
+            Object.entries(record).filter(([key]) => fields.includes(key))
+        ));
+    }
+
+    const body = { results };
+    if (query.$inlinecount === 'allpages') {
+        body.__count = String(count);
+    }
+    if (next) {
+        body.__next = next;
+    }
+    return body;
+}
+
+/**
+ * Splits "A_PurchaseOrderItem(PurchaseOrder='1',PurchaseOrderItem='10')/to_ScheduleLine"
+ * into its entity set, key predicate and navigation property (or $value).
+ */
+function parseResourcePath(resourcePath) {
+    const match = resourcePath.match(/^(\w+)(?:\((.*)\))?(?:\/(\$?\w+))?\/?$/);
+    if (!match) return null;
+
+    const [, entitySet, keyText, navigation] = match;
+    const keys = {};
+    if (keyText !== undefined) {
+        const single = keyText.match(/^'((?:[^']|'')*)'$/);
+        if (single) {
+            keys.$single = single[1];
+        } else {
+            for (const part of keyText.matchAll(/(\w+)=(?:'((?:[^']|'')*)'|([^,]+))/g)) {
+                keys[part[1]] = part[2] !== undefined ? part[2] : part[3];
+            }
+        }
+    }
+    return { entitySet, keys, hasKey: keyText !== undefined, navigation };
+}
+
+// =======================================================================
+// 🧾 Purchase Order Store (API_PURCHASEORDER_PROCESS_SRV)
+// =======================================================================
+class PurchaseOrderStore {
+    constructor(seed = []) {
+        this.orders = new Map(seed.map(po => [po.PurchaseOrder, structuredClone(po)]));
+        this.nextNumber = 4500000100;
+        // poNumber → user "processing" the PO in another session
+        this.locks = new Map();
+    }
+
+    get(poNumber) {
+        return this.orders.get(poNumber);
+    }
+
+    list() {
+        return [...this.orders.values()];
+    }
+
+    item(poNumber, itemNumber) {
+        const items = this.get(poNumber)?.to_PurchaseOrderItem.results || [];
+        return items.find(item => Number(item.PurchaseOrderItem) === Number(itemNumber));
+    }
+
+    create(payload) {
+        const poNumber = String(this.nextNumber++);
+        const { to_PurchaseOrderItem, ...header } = payload;
+        const po = {
+            ...header,
+            PurchaseOrder: poNumber,
+            CreationDate: toODataDate(),
+            CreatedByUser: 'MOCKUSER',
+            LastChangeDateTime: toODataDate(),
+            PurchasingDocumentDeletionCode: '',
+            PurchasingProcessingStatus: '02',
+            to_PurchaseOrderItem: { results: [] }
+        };
+        this.orders.set(poNumber, po);
+        for (const item of to_PurchaseOrderItem?.results || []) {
+            this.addItem(poNumber, item);
+        }
+        return po;
+    }
+
+    addItem(poNumber, payload) {
+        const po = this.get(poNumber);
+        const items = po.to_PurchaseOrderItem.results;
+        const itemNumber = payload.PurchaseOrderItem ||
+            String((Math.max(0, ...items.map(i => Number(i.PurchaseOrderItem))) + 10)).padStart(5, '0');
+        const { to_ScheduleLine, to_AccountAssignment, to_PurchaseOrderPricingElement, ...fields } = payload;
+
+        const item = {
+            ...fields,
+            PurchaseOrder: poNumber,
+            PurchaseOrderItem: itemNumber,
+            PurchasingDocumentDeletionCode: fields.PurchasingDocumentDeletionCode || '',
+            to_ScheduleLine: {
+                results: (to_ScheduleLine?.results || [{}]).map((line, index) => ({
+                    ...line,
+                    PurchaseOrder: poNumber,
+                    PurchaseOrderItem: itemNumber,
+                    ScheduleLine: String(index + 1).padStart(4, '0')
+                }))
+            },
+            to_AccountAssignment: {
+                results: (to_AccountAssignment?.results || []).map((line, index) => ({
+                    ...line,
+                    PurchaseOrder: poNumber,
+                    PurchaseOrderItem: itemNumber,
+                    AccountAssignmentNumber: String(index + 1).padStart(2, '0')
+                }))
+            },
+            // S/4 determines the conditions, the mock only adds the gross price (PMP0)
+            to_PurchaseOrderPricingElement: {
+                results: (to_PurchaseOrderPricingElement?.results || [{ ConditionType: 'PMP0', ConditionRateValue: fields.NetPriceAmount }])
+                    .map((element, index) => ({
+                        ...element,
+                        PurchaseOrder: poNumber,
+                        PurchaseOrderItem: itemNumber,
+                        PricingDocument: `50${poNumber.slice(-8)}`,
+                        PricingDocumentItem: String(Number(itemNumber)).padStart(6, '0'),
+                        PricingProcedureStep: String((index + 1) * 10).padStart(3, '0'),
+                        PricingProcedureCounter: '001'
+                    }))
+            }
+        };
+        items.push(item);
+        po.LastChangeDateTime = toODataDate();
+        return item;
+    }
+}
+
+// =======================================================================
+// 🚀 Mock Application
+// =======================================================================
+
+/**
+ * Builds the express app emulating the S/4HANA OData V2 services used by the proxy.
+ * @returns {import('express').Express}
+ */
+/**
+ * @param {object} [options]
+ * @param {number} [options.serverPageSize] - Records per response before a __next link, unlimited if not set.
+ */
+function createMockApp({ serverPageSize } = {}) {
+    const app = express();
+    app.locals.serverPageSize = Number(serverPageSize) || undefined;
+    const fixtures = loadFixtures();
+    const purchaseOrders = new PurchaseOrderStore(fixtures.get(PO_SERVICE)?.A_PurchaseOrder);
+    // Business partner uploads (Slug) and PO originals (AttachmentContentSet key), content kept apart from the record
+    const attachments = (fixtures.get('API_CV_ATTACHMENT_SRV')?.AttachmentContentSet || [])
+        .map(({ $content, ...record }) => ({ ...record, content: Buffer.from($content || '') }));
+    const csrfTokens = new Map(); // token → session id, a token is only valid with its session cookie
+
+    app.use(express.json({ limit: '50mb' }));
+    app.use(express.raw({ type: () => true, limit: '50mb' }));
+
+    // Testing hook: simulate another user editing a PO (DELETE releases the lock), no CSRF token needed
+    app.post('/mock/lock-po/:poNumber', (req, res) => {
+        purchaseOrders.locks.set(req.params.poNumber, req.query.user || 'OTHERUSER');
+        res.status(204).end();
+    });
+    app.delete('/mock/lock-po/:poNumber', (req, res) => {
+        purchaseOrders.locks.delete(req.params.poNumber);
+        res.status(204).end();
+    });
+
+    // Testing hook: simulate an S/4 outage, every OData call answers with ?status (default 503) until DELETE
+    let outage;
+    app.post('/mock/outage', (req, res) => {
+        outage = Number(req.query.status) || 503;
+        res.status(204).end();
+    });
+    app.delete('/mock/outage', (req, res) => {
+        outage = undefined;
+        res.status(204).end();
+    });
+    app.use(ODATA_ROOT, (req, res, next) => {
+        if (!outage) return next();
+        return odataError(res, outage, '/IWFND/CM_BEC/026', 'Simulated outage of the S/4HANA mock');
+    });
+
+    // Testing hook: forget all issued tokens to simulate an expired S/4 session
+    app.post('/mock/reset-csrf', (req, res) => {
+        csrfTokens.clear();
+        res.status(204).end();
+    });
+
+    // --- CSRF emulation: fetch on any path, validate token and session cookie on every write ---
+    app.use((req, res, next) => {
+        if (String(req.headers['x-csrf-token']).toLowerCase() === 'fetch') {
+            const token = crypto.randomBytes(16).toString('base64');
+            const session = crypto.randomUUID();
+            csrfTokens.set(token, session);
+            res.setHeader('x-csrf-token', token);
+            res.setHeader('set-cookie', [`SAP_SESSIONID_MCK_100=${session}; path=/`, 'sap-usercontext=sap-client=100; path=/']);
+            if (req.method === 'HEAD') {
+                return res.status(200).end();
+            }
+            if (req.method === 'GET' && !req.path.endsWith('/$metadata')) {
+                return res.status(200).json({ d: { results: [] } });
+            }
+        }
+
+        const session = csrfTokens.get(req.headers['x-csrf-token']);
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !String(req.headers.cookie).includes(`SAP_SESSIONID_MCK_100=${session}`)) {
+            res.setHeader('x-csrf-token', 'Required');
+            return res.status(403).send('CSRF token validation failed');
+        }
+        next();
+    });
+
+    app.use(ODATA_ROOT, (req, res) => {
+        const [, serviceSegment, ...resourceSegments] = decodeURIComponent(req.path).split('/');
+        const service = serviceSegment.split(';')[0];
+        const resourcePath = resourceSegments.join('/');
+
+        console.log(`[S4 Mock] ${req.method} ${service}/${resourcePath}`);
+
+        if (resourcePath === '$metadata') {
+            res.type('application/xml');
+            return res.send(`<?xml version="1.0" encoding="utf-8"?><edmx:Edmx Version="1.0" xmlns:edmx="http://schemas.microsoft.com/ado/2007/06/edmx"><edmx:DataServices/></edmx:Edmx>`);
+        }
+
+        if (service === PO_SERVICE && resourcePath === '$batch' && req.method === 'POST') {
+            return handleBatch(req, res, purchaseOrders);
+        }
+
+        const resource = parseResourcePath(resourcePath);
+        if (!resource) {
+            return odataError(res, 404, '/IWFND/CM_MGW/020', `Resource not found for segment '${resourcePath}'`);
+        }
+
+        try {
+            if (service === PO_SERVICE) {
+                return handlePurchaseOrder(req, res, resource, purchaseOrders);
+            }
+            if (service === 'ZAPI_PO_ATTACH_SRV' && resource.entitySet === 'AttachmentSet' && req.method === 'POST') {
+                return handleBpAttachment(req, res, attachments);
+            }
+            if (service === 'API_CV_ATTACHMENT_SRV' && resource.entitySet === 'CreateUrlAsAttachment' && req.method === 'POST') {
+                return handleUrlAttachment(req, res, attachments);
+            }
+            if (service === 'API_CV_ATTACHMENT_SRV' && resource.entitySet === 'AttachmentContentSet' && req.method === 'POST') {
+                return handleOriginalUpload(req, res, attachments);
+            }
+            if (['ZAPI_PO_ATTACH_SRV', 'API_CV_ATTACHMENT_SRV'].includes(service)) {
+                return handleAttachmentRead(req, res, service, resource, attachments);
+            }
+            if (req.method === 'POST') {
+                return handleGenericCreate(req, res, service, resource);
+            }
+            return handleGenericRead(req, res, fixtures, service, resource);
+        } catch (error) {
+            return odataError(res, 400, 'MOCK/400', error.message);
+        }
+    });
+
+    return app;
+}
+
+function handleGenericRead(req, res, fixtures, service, resource) {
+    const records = fixtures.get(service)?.[resource.entitySet];
+    if (!records || req.method !== 'GET') {
+        return odataError(res, 404, '/IWFND/CM_MGW/020', `Resource not found for segment '${resource.entitySet}'`);
+    }
+    return res.status(200).json({ d: applyQuery(records, req.query, serverPaging(req)) });
+}
+
+function handleGenericCreate(req, res, service, resource) {
+    const payload = req.body || {};
+    if (resource.entitySet === 'ZAPIS_K2PR_NUMSet') {
+        const prNumber = `PR${String(Date.now()).slice(-10)}`;
+        return res.status(201).json({ d: { ...payload, PRNumber: prNumber } });
+    }
+    if (resource.entitySet === 'UpdateReqSet') {
+        return res.status(201).json({ d: { ...payload } });
+    }
+    return odataError(res, 405, '/IWFND/CM_MGW/025', `Method 'POST' not allowed for '${service}/${resource.entitySet}'`);
+}
+
+function expandPurchaseOrder(po, expand) {
+    if (expand && expand.includes('to_PurchaseOrderItem')) {
+        return po;
+    }
+    return withoutField(po, 'to_PurchaseOrderItem');
+}
+
+function handlePurchaseOrder(req, res, resource, store) {
+    const { entitySet, keys, hasKey, navigation } = resource;
+    const poNumber = keys.$single || keys.PurchaseOrder || req.body?.PurchaseOrder;
+
+    if (req.method !== 'GET' && store.locks.has(poNumber)) {
+        return businessError(res, 400, [{
+            code: 'ME/006',
+            message: `User ${store.locks.get(poNumber)} is already processing Purchase order ${poNumber}`
+        }]);
+    }
+
+    if (entitySet === 'A_PurchaseOrder') {
+        if (!hasKey && req.method === 'POST') {
+            const po = store.create(req.body || {});
+            console.log(`[S4 Mock] ✓ Created PO ${po.PurchaseOrder}`);
+            return res.status(201).json({ d: po });
+        }
+        if (!hasKey && req.method === 'GET') {
+            const records = store.list().map(po => expandPurchaseOrder(po, req.query.$expand));
+            return res.status(200).json({ d: applyQuery(records, req.query, serverPaging(req)) });
+        }
+
+        const po = store.get(poNumber);
+        if (!po) {
+            return odataError(res, 404, '/IWBEP/CM_MGW_RT/020', `Purchase order ${poNumber} does not exist`);
+        }
+        if (navigation === 'to_PurchaseOrderItem') {
+            if (req.method === 'POST') {
+                return res.status(201).json({ d: store.addItem(poNumber, req.body || {}) });
+            }
+            return res.status(200).json({ d: applyQuery(po.to_PurchaseOrderItem.results, req.query) });
+        }
+        if (req.method === 'PATCH' || req.method === 'MERGE') {
+            Object.assign(po, req.body, { LastChangeDateTime: toODataDate() });
+            return res.status(204).end();
+        }
+        return res.status(200).json({ d: expandPurchaseOrder(po, req.query.$expand) });
+    }
+
+    if (entitySet === 'A_PurchaseOrderItem' && !hasKey && req.method === 'POST') {
+        if (!store.get(req.body?.PurchaseOrder)) {
+            return odataError(res, 404, '/IWBEP/CM_MGW_RT/020', `Purchase order ${req.body?.PurchaseOrder} does not exist`);
+        }
+        return res.status(201).json({ d: store.addItem(req.body.PurchaseOrder, req.body) });
+    }
+
+    const item = store.item(poNumber, keys.PurchaseOrderItem);
+    if (!item) {
+        return odataError(res, 404, '/IWBEP/CM_MGW_RT/020', `Item ${keys.PurchaseOrderItem} of purchase order ${poNumber} does not exist`);
+    }
+
+    let target;
+    if (entitySet === 'A_PurchaseOrderItem') {
+        target = item;
+        if (req.method === 'DELETE') {
+            item.PurchasingDocumentDeletionCode = 'L';
+            return res.status(204).end();
+        }
+    } else if (entitySet === 'A_PurOrdScheduleLine') {
+        target = item.to_ScheduleLine.results.find(line => Number(line.ScheduleLine) === Number(keys.ScheduleLine));
+    } else if (entitySet === 'A_PurOrdAccountAssignment') {
+        target = item.to_AccountAssignment.results.find(line => Number(line.AccountAssignmentNumber) === Number(keys.AccountAssignmentNumber));
+    } else if (entitySet === 'A_PurOrdPricingElement') {
+        target = item.to_PurchaseOrderPricingElement?.results.find(element =>
+            ['PricingDocument', 'PricingDocumentItem', 'PricingProcedureStep', 'PricingProcedureCounter']
+                .every(key => element[key] === keys[key]));
+    }
+
+    if (!target) {
+        return odataError(res, 404, '/IWFND/CM_MGW/020', `Resource not found for segment '${entitySet}'`);
+    }
+    if (req.method === 'PATCH' || req.method === 'MERGE') {
+        Object.assign(target, req.body);
+        return res.status(204).end();
+    }
+    return res.status(200).json({ d: target });
+}
+
+// =======================================================================
+// 📦 $batch (API_PURCHASEORDER_PROCESS_SRV only)
+// =======================================================================
+
+/**
+ * Runs one embedded request against the PO handlers and captures its response.
+ */
+function runBatchOperation(operation, store) {
+    const [resourcePath, queryString = ''] = operation.url.split('?');
+    const result = { status: 200, body: undefined };
+    const capture = {
+        status(code) { result.status = code; return capture; },
+        json(body) { result.body = body; return capture; },
+        end() { return capture; }
+    };
+    const request = {
+        method: operation.method,
+        headers: operation.headers,
+        body: operation.body || {},
+        query: Object.fromEntries(new URLSearchParams(queryString))
+    };
+
+    const resource = parseResourcePath(decodeURIComponent(resourcePath));
+    if (!resource) {
+        odataError(capture, 404, '/IWFND/CM_MGW/020', `Resource not found for segment '${resourcePath}'`);
+    } else {
+        handlePurchaseOrder(request, capture, resource, store);
+    }
+    return result;
+}
+
+function serializeHttpResponse({ status, body }, contentId) {
+    const lines = [
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        ...(contentId ? [`Content-ID: ${contentId}`] : []),
+        '',
+        `HTTP/1.1 ${status} ${status < 400 ? 'OK' : 'Error'}`
+    ];
+    if (body !== undefined) {
+        const text = JSON.stringify(body);
+        lines.push('Content-Type: application/json', `Content-Length: ${Buffer.byteLength(text)}`, '', text);
+    } else {
+        lines.push('Content-Length: 0', '', '');
+    }
+    return lines.join('\r\n');
+}
+
+/**
+ * Executes a multipart $batch. Each changeset runs against a snapshot of the
+ * store and is rolled back as a whole when one of its operations fails.
+ */
+function handleBatch(req, res, store) {
+    const boundary = (req.headers['content-type'] || '').match(/boundary=([^;]+)/)?.[1];
+    if (!boundary) {
+        return odataError(res, 400, '/IWFND/CM_MGW/004', 'Batch request without boundary');
+    }
+
+    const responseBoundary = `batchresponse_${crypto.randomUUID()}`;
+    const sections = parseMultipart(req.body.toString('utf8'), boundary).map(part => {
+        if (!part.parts) {
+            return serializeHttpResponse(runBatchOperation(parseHttpPart(part), store));
+        }
+
+        const snapshot = structuredClone([...store.orders]);
+        const results = [];
+        for (const operation of part.parts.map(parseHttpPart)) {
+            const result = runBatchOperation(operation, store);
+            if (result.status >= 400) {
+                store.orders = new Map(snapshot);
+                console.log(`[S4 Mock] ✗ Changeset rolled back at ${operation.method} ${operation.url}`);
+                return serializeHttpResponse(result);
+            }
+            results.push({ ...result, contentId: operation.contentId });
+        }
+
+        const changesetBoundary = `changesetresponse_${crypto.randomUUID()}`;
+        return [
+            `Content-Type: multipart/mixed; boundary=${changesetBoundary}`,
+            '',
+            ...results.map(result => `--${changesetBoundary}\r\n${serializeHttpResponse(result, result.contentId)}`),
+            `--${changesetBoundary}--`,
+            ''
+        ].join('\r\n');
+    });
+
+    const body = [...sections.map(section => `--${responseBoundary}\r\n${section}`), `--${responseBoundary}--`, ''].join('\r\n');
+    res.status(202).type(`multipart/mixed; boundary=${responseBoundary}`).send(body);
+}
+
+function handleBpAttachment(req, res, attachments) {
+    const slug = req.headers.slug || 'attachment';
+    const content = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const record = {
+        Slug: slug,
+        BusinessPartner: slug.split('/')[0],
+        FileName: slug.split('/').pop(),
+        MimeType: req.headers['content-type'] || 'application/octet-stream',
+        FileSize: String(content.length),
+        CreatedAt: toODataDate()
+    };
+    attachments.push({ ...record, content });
+    return res.status(201).json({ d: record });
+}
+
+/**
+ * New AttachmentContentSet record as S/4 creates it, with the given fields.
+ */
+function newOriginal(attachments, fields) {
+    return {
+        DocumentInfoRecordDocType: 'SAT',
+        DocumentInfoRecordDocNumber: String(10000000 + attachments.length),
+        DocumentInfoRecordDocVersion: '00',
+        DocumentInfoRecordDocPart: '000',
+        LogicalDocument: crypto.randomUUID().replace(/-/g, '').toUpperCase(),
+        ArchiveDocumentID: '',
+        LinkedSAPObjectKey: '',
+        BusinessObjectTypeName: '',
+        SemanticObject: '',
+        BusinessObjectType: '',
+        WorkstationApplication: '',
+        FileSize: '0',
+        FileName: '',
+        DocumentURL: '',
+        MimeType: '',
+        Content: '',
+        CreatedByUser: 'MOCKUSER',
+        CreatedByUserFullName: 'Mock User',
+        CreationDateTime: toODataDate(),
+        LastChangedByUser: 'MOCKUSER',
+        LastChangedByUserFullName: 'Mock User',
+        ChangedDateTime: toODataDate(),
+        StorageCategory: 'SOMU',
+        ArchiveLinkRepository: '',
+        SAPObjectType: '',
+        SAPObjectNodeType: '',
+        HarmonizedDocumentType: '',
+        AttachmentContentHash: '',
+        Source: '',
+        AttachmentDeletionIsAllowed: true,
+        AttachmentRenameIsAllowed: true,
+        ...fields
+    };
+}
+
+function handleUrlAttachment(req, res, attachments) {
+    const stripQuotes = (value) => (value || '').replace(/^'|'$/g, '').replace(/''/g, "'");
+    const record = newOriginal(attachments, {
+        LinkedSAPObjectKey: stripQuotes(req.query.LinkedSAPObjectKey),
+        BusinessObjectTypeName: stripQuotes(req.query.BusinessObjectTypeName),
+        SemanticObject: stripQuotes(req.query.SemanticObject),
+        BusinessObjectType: stripQuotes(req.query.BusinessObjectTypeName),
+        WorkstationApplication: 'URL',
+        FileName: stripQuotes(req.query.UrlDescription),
+        DocumentURL: decodeURIComponent(stripQuotes(req.query.Url)),
+        MimeType: stripQuotes(req.query.MIMEType) || 'text/url',
+        Source: 'URL'
+    });
+    attachments.push({ ...record, content: Buffer.from('') });
+    return res.status(200).json({ d: { AttachmentContentSet: record } });
+}
+
+/**
+ * POST AttachmentContentSet: the file is the body, Slug (URL-encoded file name), BusinessObjectTypeName
+ * and LinkedSAPObjectKey come as headers.
+ */
+function handleOriginalUpload(req, res, attachments) {
+    const { slug, businessobjecttypename: objectType, linkedsapobjectkey: objectKey } = req.headers;
+    if (!slug || !objectType || !objectKey) {
+        return businessError(res, 400, [{ code: 'CV_ATTACHMENT_SRV/005', message: 'Slug, BusinessObjectTypeName and LinkedSAPObjectKey headers are required' }]);
+    }
+    const content = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const fileName = decodeURIComponent(slug);
+    const record = newOriginal(attachments, {
+        LinkedSAPObjectKey: objectKey,
+        BusinessObjectTypeName: objectType,
+        BusinessObjectType: objectType,
+        SemanticObject: objectType === 'BUS2012' ? 'PurchaseOrder' : '',
+        WorkstationApplication: path.extname(fileName).slice(1).toUpperCase(),
+        FileName: fileName,
+        FileSize: String(content.length),
+        MimeType: String(req.headers['content-type'] || 'application/octet-stream').split(';')[0],
+        AttachmentContentHash: crypto.createHash('sha256').update(content).digest('hex').toUpperCase()
+    });
+    attachments.push({ ...record, content });
+    return res.status(201).json({ d: record });
+}
+
+const stripContent = (record) => withoutField(record, 'content');
+
+/**
+ * Reads and deletes of both attachment services: AttachmentSet (by Slug, with $filter) of ZAPI_PO_ATTACH_SRV,
+ * GetAllOriginals and AttachmentContentSet (by its full key) of API_CV_ATTACHMENT_SRV; /$value is the content.
+ */
+function handleAttachmentRead(req, res, service, resource, attachments) {
+    const notFound = () => odataError(res, 404, '/IWFND/CM_MGW/020', `Resource not found for segment '${resource.entitySet}'`);
+    const unquote = (value) => String(value || '').replace(/^'|'$/g, '').replace(/''/g, "'");
+
+    if (service === 'API_CV_ATTACHMENT_SRV' && resource.entitySet === 'GetAllOriginals' && req.method === 'GET') {
+        const originals = attachments.filter(record => record.LogicalDocument
+            && record.LinkedSAPObjectKey === unquote(req.query.LinkedSAPObjectKey)
+            && record.BusinessObjectTypeName === unquote(req.query.BusinessObjectTypeName));
+        return res.status(200).json({ d: { results: originals.map(stripContent) } });
+    }
+
+    let index = -1;
+    if (service === 'ZAPI_PO_ATTACH_SRV' && resource.entitySet === 'AttachmentSet') {
+        if (!resource.hasKey) {
+            if (req.method !== 'GET') return notFound();
+            const records = attachments.filter(record => record.Slug).map(stripContent);
+            return res.status(200).json({ d: applyQuery(records, req.query, serverPaging(req)) });
+        }
+        const slug = resource.keys.$single?.replace(/''/g, "'");
+        index = attachments.findIndex(record => record.Slug && record.Slug === slug);
+    } else if (service === 'API_CV_ATTACHMENT_SRV' && resource.entitySet === 'AttachmentContentSet' && resource.hasKey) {
+        const keys = Object.entries(resource.keys).map(([name, value]) => [name, value.replace(/''/g, "'")]);
+        index = attachments.findIndex(record => record.LogicalDocument && keys.every(([name, value]) => record[name] === value));
+    } else {
+        return notFound();
+    }
+
+    const attachment = attachments[index];
+    if (!attachment) {
+        return odataError(res, 404, '/IWBEP/CM_MGW_RT/021', 'Attachment does not exist');
+    }
+    if (req.method === 'DELETE') {
+        if (attachment.AttachmentDeletionIsAllowed === false) {
+            return businessError(res, 403, [{ code: 'CV_ATTACHMENT/012', message: `Attachment ${attachment.FileName} cannot be deleted` }]);
+        }
+        attachments.splice(index, 1);
+        return res.status(204).end();
+    }
+    if (req.method !== 'GET') return notFound();
+    if (resource.navigation === '$value') {
+        return res.status(200).type(attachment.MimeType || 'application/octet-stream').send(attachment.content);
+    }
+    return res.status(200).json({ d: stripContent(attachment) });
+}
+
+/**
+ * Starts the mock and registers it as the target of the given destination names
+ * via the Cloud SDK `destinations` environment variable.
+ * @param {object} options
+ * @param {number} [options.port=4005] - Port to listen on.
+ * @param {string[]} [options.destinations] - Destination names to point at the mock.
+ * @param {number} [options.serverPageSize] - Enables server-driven paging (__next links) with this page size.
+ * @returns {import('http').Server}
+ */
+function start({ port = 4005, destinations = ['S4-API-QAS'], serverPageSize } = {}) {
+    const url = `http://localhost:${port}`;
+    const registered = JSON.parse(process.env.destinations || '[]')
+        .filter(destination => !destinations.includes(destination.name));
+    process.env.destinations = JSON.stringify([
+        ...registered,
+        ...destinations.map(name => ({ name, url }))
+    ]);
+
+    const server = createMockApp({ serverPageSize }).listen(port, () => {
+        console.log(`🧪 S/4HANA mock listening on ${url} for destinations: ${destinations.join(', ')}`);
+    });
+    return server;
+}
+
+module.exports = { createMockApp, start };
+
+if (require.main === module) {
+    start({ port: Number(process.env.PORT) || 4005 });
+}
@@ -0,0 +1,136 @@
+// approver-links.js - Signed, expiring, single-use approver deep links into the PR review app
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const { SELECT, INSERT, UPDATE, DELETE } = cds.ql;
+const { findServiceBinding } = require('./secret-provider');
+const { logger } = require('./logger');
+
+const LOG = logger('approver-links');
+
+const NONCES_ENTITY = 'cap.proxy.ApproverLinkNonces';
+const AUDIENCE = 'prreview';
+const MIN_SECRET_LENGTH = 32;
+
+const DEFAULTS = {
+    service: 'cap-proxy-approver-links',
+    ttl: 604800    // seconds a link stays valid (7 days)
+};
+
+const linkError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * cds.approverLinks merged with the defaults: baseUrl (the review app's prreview function), ttl and
+ * the binding name of the signing secret.
+ */
+function linkConfig() {
+    return { ...DEFAULTS, ...cds.env.approverLinks };
+}
+
+/**
+ * HMAC secret from the first available source: bound service (credentials.secret), APPROVER_LINK_SECRET,
+ * cds.approverLinks.secret (development only).
+ */
+function signingSecret() {
+    const config = linkConfig();
+    const secret = findServiceBinding(config.service)?.credentials?.secret
+        || process.env.APPROVER_LINK_SECRET
+        || config.secret;
+    if (!secret || secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`No approver link secret of at least ${MIN_SECRET_LENGTH} characters configured (service '${config.service}', APPROVER_LINK_SECRET)`);
+    }
+    return secret;
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', signingSecret()).update(data).digest('base64url');
+
+/**
+ * Issues a link token (JWT, HS256) and registers its nonce. Expired nonces are removed on the way.
+ * @param {object} approver
+ * @param {string} approver.workflowId
+ * @param {string} approver.role
+ * @param {string} approver.email
+ * @param {string} [approver.delegateApprover]
+ * @returns {Promise<{url: string, token: string, expiresAt: string}>}
+ */
+async function issueApproverLink({ workflowId, role, email, delegateApprover }) {
+    const { baseUrl, ttl } = linkConfig();
+    if (!baseUrl) {
+        throw new Error('No review app URL configured for approver links (cds.approverLinks.baseUrl)');
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+        aud: AUDIENCE,
+        jti: crypto.randomUUID(),
+        iat: issuedAt,
+        exp: issuedAt + Number(ttl),
+        wf: workflowId,
+        role,
+        sub: email,
+        ...(delegateApprover && { delegate: delegateApprover })
+    };
+    const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    const token = `${data}.${sign(data)}`;
+    const expiresAt = new Date(claims.exp * 1000).toISOString();
+
+    await DELETE.from(NONCES_ENTITY).where({ ExpiresAt: { '<': new Date().toISOString() } });
+    await INSERT.into(NONCES_ENTITY).entries({ Nonce: claims.jti, WorkflowId: workflowId, ExpiresAt: expiresAt });
+
+    return { url: `${baseUrl}(value='${token}')`, token, expiresAt };
+}
+
+/**
+ * Checks signature, audience and expiry of a link token and consumes its nonce: a link verifies once.
+ * @param {string} token - The value of the link.
+ * @param {string} [usedBy] - API client verifying the link, stored with the nonce.
+ * @returns {Promise<{workflowId, role, email, delegateApprover, expiresAt}>}
+ * @throws {Error} APPROVER_LINK_INVALID, APPROVER_LINK_EXPIRED or APPROVER_LINK_USED.
+ */
+async function verifyApproverLink(token, usedBy) {
+    const [header, payload, signature, ...rest] = String(token || '').split('.');
+    if (!header || !payload || !signature || rest.length > 0) {
+        throw linkError('APPROVER_LINK_INVALID', 'The approver link is malformed');
+    }
+
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw linkError('APPROVER_LINK_INVALID', 'The approver link signature is invalid');
+    }
+
+    let claims;
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') throw new Error('alg');
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+        throw linkError('APPROVER_LINK_INVALID', 'The approver link is malformed');
+    }
+    if (claims.aud !== AUDIENCE || !claims.jti) {
+        throw linkError('APPROVER_LINK_INVALID', 'The approver link is not a review app link');
+    }
+    if (!(claims.exp * 1000 > Date.now())) {
+        throw linkError('APPROVER_LINK_EXPIRED', `The approver link expired at ${new Date(claims.exp * 1000).toISOString()}`);
+    }
+
+    // Only one verification wins the update
+    const consumed = await UPDATE(NONCES_ENTITY)
+        .set({ UsedAt: new Date().toISOString(), UsedBy: usedBy || null })
+        .where({ Nonce: claims.jti, UsedAt: null });
+    if (consumed === 0) {
+        const nonce = await SELECT.one.from(NONCES_ENTITY).where({ Nonce: claims.jti });
+        if (!nonce) throw linkError('APPROVER_LINK_INVALID', 'The approver link is unknown');
+        LOG.warn(`Approver link ${claims.jti} for workflow ${claims.wf} used again (first used ${nonce.UsedAt})`);
+        throw linkError('APPROVER_LINK_USED', `The approver link was already used at ${nonce.UsedAt}`);
+    }
+
+    return {
+        workflowId: claims.wf,
+        role: claims.role,
+        email: claims.sub,
+        delegateApprover: claims.delegate,
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+}
+
+module.exports = { issueApproverLink, verifyApproverLink };
@@ -0,0 +1,201 @@
+// attachments.js - Attachment lists, ids and downloads for ZAPI_PO_ATTACH_SRV (business partner) and API_CV_ATTACHMENT_SRV (PO)
+const { pipeline } = require('stream/promises');
+const { entityUrl } = require('./odata-query');
+
+const BP_ATTACHMENT_SERVICE = '/sap/opu/odata/sap/ZAPI_PO_ATTACH_SRV';
+const ATTACHMENT_SERVICE = '/sap/opu/odata/sap/API_CV_ATTACHMENT_SRV';
+const PO_OBJECT_TYPE = 'BUS2012';
+
+// Key of AttachmentContentSet (API_CV_ATTACHMENT_SRV), in this order in the attachment id
+const CONTENT_KEYS = [
+    'DocumentInfoRecordDocType',
+    'DocumentInfoRecordDocNumber',
+    'DocumentInfoRecordDocVersion',
+    'DocumentInfoRecordDocPart',
+    'LogicalDocument',
+    'ArchiveDocumentID',
+    'LinkedSAPObjectKey',
+    'BusinessObjectTypeName'
+];
+
+// Shown in the browser with ?inline=true, everything else is always downloaded
+const INLINE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'text/plain'];
+
+const invalidId = () => Object.assign(new Error('Invalid attachment id'), { code: 'VALIDATION_FAILED' });
+
+/**
+ * "/Date(1763637844000)/" → "2025-11-20T11:24:04.000Z"
+ */
+function fromODataDate(value) {
+    const timestamp = Number(String(value || '').match(/\/Date\((-?\d+)/)?.[1]);
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * "/Date(1763637844000)/" → "2025-11-20T11:24:04.000" (the format of the BPA attachment responses),
+ * "" when missing or not an OData date
+ */
+function convertODataDate(odataDate) {
+    return fromODataDate(odataDate)?.replace("Z", "") ?? "";
+}
+
+/**
+ * AttachmentContent of the BPA responses (/http/PRPO/fileAttachment and its upload route) for an
+ * AttachmentContentSet record as S/4 returns it. Never throws on missing fields: S/4 has stored the
+ * file by the time this runs, so a failure here would report it as failed and a retry would duplicate it.
+ */
+function toAttachmentContent(sap = {}) {
+    return {
+        WorkstationApplication: sap.WorkstationApplication,
+        CreatedByUser: sap.CreatedByUser,
+        ArchiveLinkRepository: sap.ArchiveLinkRepository,
+        FileName: sap.FileName,
+        DocumentInfoRecordDocPart: sap.DocumentInfoRecordDocPart,
+        CreatedByUserFullName: sap.CreatedByUserFullName,
+        SAPObjectType: sap.SAPObjectType,
+        MimeType: sap.MimeType,
+        Source: sap.Source,
+        BusinessObjectTypeName: sap.BusinessObjectTypeName,
+        LogicalDocument: sap.LogicalDocument,
+        SAPObjectNodeType: sap.SAPObjectNodeType,
+        ArchiveDocumentID: sap.ArchiveDocumentID,
+        ChangedDateTime: convertODataDate(sap.ChangedDateTime),
+        AttachmentContentHash: sap.AttachmentContentHash,
+        HarmonizedDocumentType: sap.HarmonizedDocumentType,
+        DocumentInfoRecordDocNumber: sap.DocumentInfoRecordDocNumber,
+        LinkedSAPObjectKey: sap.LinkedSAPObjectKey,
+        StorageCategory: sap.StorageCategory,
+        DocumentURL: sap.DocumentURL,
+        BusinessObjectType: sap.BusinessObjectType,
+        LastChangedByUser: sap.LastChangedByUser,
+        CreationDateTime: convertODataDate(sap.CreationDateTime),
+        DocumentInfoRecordDocVersion: sap.DocumentInfoRecordDocVersion,
+        Content: sap.Content,
+        DocumentInfoRecordDocType: sap.DocumentInfoRecordDocType,
+        LastChangedByUserFullName: sap.LastChangedByUserFullName,
+        SemanticObject: sap.SemanticObject,
+        AttachmentDeletionIsAllowed: String(sap.AttachmentDeletionIsAllowed ?? ''),
+        AttachmentRenameIsAllowed: String(sap.AttachmentRenameIsAllowed ?? ''),
+        FileSize: sap.FileSize
+    };
+}
+
+/**
+ * Opaque id of an AttachmentContentSet record (its key values, base64url), used in the download and delete routes.
+ * @param {object} record
+ * @returns {string}
+ */
+function attachmentId(record) {
+    return Buffer.from(JSON.stringify(CONTENT_KEYS.map(key => record[key] ?? ''))).toString('base64url');
+}
+
+/**
+ * Key of the AttachmentContentSet record an id stands for.
+ * @param {string} id - See attachmentId().
+ * @returns {object} - { DocumentInfoRecordDocType, …, BusinessObjectTypeName }
+ * @throws {Error} VALIDATION_FAILED for anything that is not an attachment id.
+ */
+function parseAttachmentId(id) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(id), 'base64url').toString('utf8'));
+    } catch {
+        throw invalidId();
+    }
+    if (!Array.isArray(values) || values.length !== CONTENT_KEYS.length || !values.every(value => typeof value === 'string')) {
+        throw invalidId();
+    }
+    return Object.fromEntries(CONTENT_KEYS.map((key, index) => [key, values[index]]));
+}
+
+/**
+ * "/…/AttachmentContentSet(DocumentInfoRecordDocType='SAT',…)" for a key from parseAttachmentId().
+ */
+function contentUrl(keys) {
+    return entityUrl(ATTACHMENT_SERVICE, 'AttachmentContentSet', Object.fromEntries(CONTENT_KEYS.map(key => [key, keys[key]])));
+}
+
+/**
+ * "/…/AttachmentSet('1000001%2F1000001_1.pdf')" - business partner attachments are keyed by their Slug.
+ */
+function bpAttachmentUrl(slug) {
+    return entityUrl(BP_ATTACHMENT_SERVICE, 'AttachmentSet', { Slug: slug });
+}
+
+/**
+ * List entry of an AttachmentContentSet record (GetAllOriginals).
+ */
+function toPoAttachment(record) {
+    return {
+        id: attachmentId(record),
+        fileName: record.FileName,
+        mimeType: record.MimeType,
+        fileSize: Number(record.FileSize) || 0,
+        url: record.DocumentURL || undefined,
+        source: record.WorkstationApplication === 'URL' ? 'url' : 'file',
+        createdBy: record.CreatedByUserFullName || record.CreatedByUser,
+        createdAt: fromODataDate(record.CreationDateTime),
+        deletionAllowed: record.AttachmentDeletionIsAllowed === true
+    };
+}
+
+/**
+ * List entry of an AttachmentSet record (uploads of /odata/v4/attachment/upload).
+ */
+function toBpAttachment(record) {
+    return {
+        fileName: record.FileName || String(record.Slug).split('/').pop(),
+        slug: record.Slug,
+        mimeType: record.MimeType,
+        fileSize: Number(record.FileSize) || 0,
+        createdAt: fromODataDate(record.CreatedAt)
+    };
+}
+
+/**
+ * Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266), e.g.
+ * attachment; filename="Angebot_M_ller.pdf"; filename*=UTF-8''Angebot%20M%C3%BCller.pdf
+ * @param {string} fileName
+ * @param {boolean} inline - Only honored for INLINE_TYPES (see sendContent).
+ */
+function contentDisposition(fileName, inline = false) {
+    const name = String(fileName || 'attachment').replace(/[\r\n]/g, '');
+    const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Streams an S/4 $value response (requested with responseType 'stream') to the client.
+ * @param {object} res - Express response.
+ * @param {object} s4Response - http-client response, data is the stream.
+ * @param {object} options
+ * @param {string} options.fileName
+ * @param {string} [options.mimeType] - Type from the attachment record, S/4's Content-Type otherwise.
+ * @param {boolean} [options.inline=false] - Content-Disposition inline instead of attachment.
+ */
+async function sendContent(res, s4Response, { fileName, mimeType, inline = false }) {
+    const contentType = String(mimeType || s4Response.headers['content-type'] || 'application/octet-stream').toLowerCase();
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', contentDisposition(fileName, inline && INLINE_TYPES.includes(contentType)));
+    if (s4Response.headers['content-length']) res.setHeader('Content-Length', s4Response.headers['content-length']);
+    // Content from S/4 never runs scripts in the proxy's origin
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    await pipeline(s4Response.data, res);
+}
+
+module.exports = {
+    BP_ATTACHMENT_SERVICE,
+    ATTACHMENT_SERVICE,
+    PO_OBJECT_TYPE,
+    attachmentId,
+    parseAttachmentId,
+    contentUrl,
+    bpAttachmentUrl,
+    toPoAttachment,
+    toBpAttachment,
+    toAttachmentContent,
+    contentDisposition,
+    sendContent
+};
@@ -0,0 +1,100 @@
+// audit.js - Persistent audit trail for transactional proxy routes
+const cds = require('@sap/cds');
+const { SELECT, INSERT } = cds.ql;
+const { getRequestContext } = require('./request-context');
+const { redact } = require('./redact');
+const { logger } = require('./logger');
+
+const LOG = logger('audit');
+
+const AUDIT_ENTITY = 'cap.proxy.AuditLog';
+const MAX_PAYLOAD_LENGTH = 100000;
+
+const truncate = (text, max) => (text && text.length > max ? `${text.substring(0, max)}…` : text);
+
+async function writeEntry(entry) {
+    await INSERT.into(AUDIT_ENTITY).entries(entry);
+}
+
+/**
+ * Express middleware recording one AuditLog entry per call once the response is sent.
+ * Must run after basicAuthMiddleware (caller client) and after any body parser (e.g. multer).
+ *
+ * @param {string|((req) => string)} action - e.g. 'PO_CREATE'.
+ * @param {object} [extract] - Route specific extractors, each `(req, body) => string|undefined`:
+ *        prNumber, poNumber, documentNumber and payload (defaults to req.body).
+ */
+function auditMiddleware(action, extract = {}) {
+    return (req, res, next) => {
+        const start = Date.now();
+        const context = getRequestContext();
+        let responseBody;
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('finish', () => {
+            const safe = (fn) => {
+                try {
+                    return fn ? fn(req, responseBody || {}) : undefined;
+                } catch {
+                    return undefined;
+                }
+            };
+            const payload = extract.payload ? safe(extract.payload) : req.body;
+            const success = res.statusCode < 400;
+
+            const entry = {
+                Client: req.apiClient?.id || 'anonymous',
+                Action: typeof action === 'function' ? safe(action) : action,
+                Route: `${req.method} ${req.path}`,
+                PRNumber: safe(extract.prNumber) || null,
+                PONumber: safe(extract.poNumber) || null,
+                DocumentNumber: success ? (safe(extract.documentNumber) || null) : null,
+                RequestPayload: truncate(JSON.stringify(redact(payload, cds.env.log?.redact || [])), MAX_PAYLOAD_LENGTH),
+                HttpStatus: res.statusCode,
+                S4Status: context?.s4Status ?? null,
+                DurationMs: Date.now() - start,
+                Success: success,
+                Message: truncate(responseBody?.message, 1000) || null
+            };
+
+            writeEntry(entry).catch(error => LOG.error(`Failed to write audit entry for ${entry.Route}:`, error.message));
+        });
+
+        next();
+    };
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads audit entries, newest first.
+ * @param {object} filters - prNumber, poNumber, from, to (ISO dates), top, skip.
+ *        A date-only `to` (2026-10-19) includes that whole day (UTC).
+ */
+async function queryAuditLog({ prNumber, poNumber, from, to, top = 100, skip = 0 } = {}) {
+    const where = {};
+    if (prNumber) where.PRNumber = prNumber;
+    if (poNumber) where.PONumber = poNumber;
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt['>='] = new Date(from).toISOString();
+        if (to && DATE_ONLY.test(to)) where.createdAt['<'] = new Date(new Date(to).getTime() + DAY_MS).toISOString();
+        else if (to) where.createdAt['<='] = new Date(to).toISOString();
+    }
+
+    const limit = Math.min(Number(top) || 100, 1000);
+    const offset = Number(skip) || 0;
+    const [results, { count }] = await Promise.all([
+        SELECT.from(AUDIT_ENTITY).where(where).orderBy('createdAt desc').limit(limit, offset),
+        SELECT.one.from(AUDIT_ENTITY).columns('count(*) as count').where(where)
+    ]);
+    return { count, results };
+}
+
+module.exports = { auditMiddleware, queryAuditLog };
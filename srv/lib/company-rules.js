@@ -0,0 +1,142 @@
+// company-rules.js - Company code rules for PO type, purchasing org and PO defaults
+const cds = require('@sap/cds');
+const { SELECT, INSERT, UPSERT, DELETE } = cds.ql;
+const defaultRules = require('../config/company-code-rules.json');
+const { logger } = require('./logger');
+
+const LOG = logger('company-rules');
+
+const RULES_ENTITY = 'cap.proxy.CompanyCodeRules';
+const RULE_FIELDS = [
+    'CompanyCode', 'PurchaseOrderTypeBudgeted', 'PurchaseOrderTypeUnbudgeted', 'PurchasingOrganization',
+    'Plant', 'PaymentTerms', 'Language', 'OrderUnit'
+];
+
+// Values used for company codes without a rule (matches the behaviour before rules were configurable)
+const FALLBACK_RULE = {
+    PurchaseOrderTypeBudgeted: '',
+    PurchaseOrderTypeUnbudgeted: '',
+    PurchasingOrganization: '',
+    PaymentTerms: '0030',
+    Language: 'EN',
+    OrderUnit: 'EA'
+};
+
+let rulesByCompanyCode = new Map();
+
+/**
+ * Validates a single rule. Returns a list of violation messages (empty if valid).
+ * @param {object} rule
+ * @returns {string[]}
+ */
+function validateRule(rule) {
+    const errors = [];
+    const required = (field, pattern, hint) => {
+        const value = rule?.[field];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            errors.push(`${field} is required`);
+        } else if (pattern && !pattern.test(String(value))) {
+            errors.push(`${field} '${value}' is invalid (${hint})`);
+        }
+    };
+
+    required('CompanyCode', /^[A-Z0-9]{4}$/, '4 upper case characters');
+    required('PurchaseOrderTypeBudgeted', /^[A-Z0-9]{1,4}$/, 'up to 4 upper case characters');
+    required('PurchaseOrderTypeUnbudgeted', /^[A-Z0-9]{1,4}$/, 'up to 4 upper case characters');
+    required('PurchasingOrganization', /^[A-Z0-9]{1,4}$/, 'up to 4 upper case characters');
+    required('Plant', /^[A-Z0-9]{1,4}$/, 'up to 4 upper case characters');
+    required('PaymentTerms', /^[A-Z0-9]{4}$/, '4 characters, e.g. 0030');
+    required('Language', /^[A-Z]{2}$/, '2 letter ISO code');
+    required('OrderUnit', /^[A-Z0-9]{1,3}$/, 'up to 3 characters');
+
+    const unknown = Object.keys(rule || {}).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+    return errors;
+}
+
+function pickRuleFields(record) {
+    return Object.fromEntries(RULE_FIELDS.map(field => [field, record[field]]));
+}
+
+/**
+ * Loads all rules from the database into memory, seeding the table from
+ * srv/config/company-code-rules.json when it is empty. Throws if any stored rule is invalid.
+ */
+async function loadCompanyRules() {
+    let rules = await SELECT.from(RULES_ENTITY);
+
+    if (rules.length === 0) {
+        await INSERT.into(RULES_ENTITY).entries(defaultRules);
+        LOG.info(`📋 Seeded ${defaultRules.length} company code rules from defaults`);
+        rules = await SELECT.from(RULES_ENTITY);
+    }
+
+    const invalid = rules
+        .map(rule => ({ companyCode: rule.CompanyCode, errors: validateRule(pickRuleFields(rule)) }))
+        .filter(result => result.errors.length > 0);
+
+    if (invalid.length > 0) {
+        const details = invalid.map(r => `${r.companyCode}: ${r.errors.join('; ')}`).join(' | ');
+        throw new Error(`Invalid company code rules: ${details}`);
+    }
+
+    rulesByCompanyCode = new Map(rules.map(rule => [rule.CompanyCode, pickRuleFields(rule)]));
+    LOG.info(`📋 Company code rules loaded: ${[...rulesByCompanyCode.keys()].join(', ')}`);
+    return rules;
+}
+
+async function listCompanyRules() {
+    return SELECT.from(RULES_ENTITY).orderBy('CompanyCode');
+}
+
+async function saveCompanyRule(rule) {
+    await UPSERT.into(RULES_ENTITY).entries(rule);
+    rulesByCompanyCode.set(rule.CompanyCode, pickRuleFields(rule));
+}
+
+async function deleteCompanyRule(companyCode) {
+    const deleted = await DELETE.from(RULES_ENTITY).where({ CompanyCode: companyCode });
+    rulesByCompanyCode.delete(companyCode);
+    return deleted;
+}
+
+/**
+ * Returns the rule for a company code, or the fallback defaults if none is maintained.
+ * @param {string} companyId
+ */
+function resolveCompanyRule(companyId) {
+    const companyCode = String(companyId || '').trim().toUpperCase();
+    return rulesByCompanyCode.get(companyCode) || { ...FALLBACK_RULE, CompanyCode: companyCode, Plant: companyId || '' };
+}
+
+const isBudgeted = (budgeted) => ['YES', 'Y', 'TRUE'].includes(String(budgeted).trim().toUpperCase());
+
+// --- PO Type Determination ---
+function determinePurchaseOrderType(companyId, budgeted) {
+    if (!companyId || !String(companyId).trim() || !budgeted) {
+        return "";
+    }
+    const rule = resolveCompanyRule(companyId);
+    return isBudgeted(budgeted) ? rule.PurchaseOrderTypeBudgeted : rule.PurchaseOrderTypeUnbudgeted;
+}
+
+// --- Purchasing Organization Determination ---
+function determinePurchasingOrganisation(companyId) {
+    if (!companyId || !String(companyId).trim()) {
+        return "";
+    }
+    return resolveCompanyRule(companyId).PurchasingOrganization;
+}
+
+module.exports = {
+    validateRule,
+    loadCompanyRules,
+    listCompanyRules,
+    saveCompanyRule,
+    deleteCompanyRule,
+    resolveCompanyRule,
+    determinePurchaseOrderType,
+    determinePurchasingOrganisation
+};
@@ -0,0 +1,307 @@
+// credential-store.js - Named API clients for the Basic Auth protected proxy routes
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { findServiceBinding } = require('./secret-provider');
+const { sendError } = require('./errors');
+const { getRequestContext } = require('./request-context');
+const { logger } = require('./logger');
+
+const LOG = logger('auth');
+
+const HASH_PREFIX = 'scrypt';
+const REALM = 'Basic realm="CAP Proxy API"';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hashes a client secret for storage in the credential store.
+ * Format: scrypt$<salt base64>$<hash base64>
+ * @param {string} secret - Plain text secret.
+ * @returns {string}
+ */
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(secret, salt, 32);
+    return `${HASH_PREFIX}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a secret against a stored hash. scrypt runs on the libuv thread pool, not the event loop.
+ * @returns {Promise<boolean>}
+ */
+async function verifySecret(secret, storedHash) {
+    const [prefix, salt, hash] = String(storedHash || '').split('$');
+    if (prefix !== HASH_PREFIX || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(secret, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Route patterns are exact paths or prefixes ending in '*'.
+ */
+function routeAllowed(routes, routePath) {
+    return routes.some(pattern => pattern === '*' ||
+        (pattern.endsWith('*') ? routePath.startsWith(pattern.slice(0, -1)) : routePath === pattern));
+}
+
+// =======================================================================
+// 🔐 CREDENTIAL STORE
+// =======================================================================
+class CredentialStore {
+    /**
+     * @param {object} options
+     * @param {string} [options.envVar] - Env variable holding a JSON client list.
+     * @param {string} [options.service] - Name of a bound user-provided service with `credentials.clients`.
+     * @param {string} [options.clientsFile] - JSON file with a client list (relative to the project root).
+     * @param {number} [options.refreshInterval] - How often (ms) the sources are re-read.
+     * @param {number} [options.maxFailedAttempts] - Secret checks per caller IP and window before it is throttled.
+     * @param {number} [options.failedAttemptWindow] - Window (ms) for maxFailedAttempts.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.clients = new Map();
+        this.verified = new Map();
+        this.attempts = new Map();
+        this.loadedAt = 0;
+        this.source = 'none';
+    }
+
+    /**
+     * Reads the client list. Throws on a malformed source and then leaves the current list in place.
+     */
+    async load() {
+        const { clients, source } = await this._readClients();
+        if (!Array.isArray(clients)) {
+            throw new Error(`Client list from ${source} is not an array`);
+        }
+
+        const loaded = new Map();
+        for (const client of clients) {
+            if (!client?.clientId || !client.secretHash) {
+                LOG.warn(`Ignoring client entry without clientId/secretHash from ${source}`);
+                continue;
+            }
+            loaded.set(client.clientId, {
+                clientId: client.clientId,
+                secretHash: client.secretHash,
+                expiresAt: client.expiresAt ? new Date(client.expiresAt) : null,
+                routes: client.routes || [],
+                scopes: client.scopes || []
+            });
+        }
+
+        this.clients = loaded;
+        this.verified.clear();
+        this.loadedAt = Date.now();
+        this.source = source;
+        return this;
+    }
+
+    /**
+     * Re-reads the sources, keeping the previous client list if that fails.
+     */
+    async refresh() {
+        try {
+            await this.load();
+        } catch (error) {
+            LOG.error(`Reloading API clients failed, keeping ${this.clients.size} clients from ${this.source}:`, error.message);
+        }
+    }
+
+    /**
+     * Loads the clients (throwing on a malformed source) and re-reads them every refreshInterval,
+     * outside of the request path.
+     */
+    async start() {
+        await this.load();
+        this.stop();
+        this.timer = setInterval(() => this.refresh(), this.options.refreshInterval ?? 60000);
+        this.timer.unref();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = undefined;
+    }
+
+    async _readClients() {
+        const { envVar, service, clientsFile } = this.options;
+
+        if (envVar && process.env[envVar]) {
+            return { clients: JSON.parse(process.env[envVar]), source: `env:${envVar}` };
+        }
+
+        const binding = findServiceBinding(service);
+        if (binding?.credentials?.clients) {
+            return { clients: binding.credentials.clients, source: `service:${service}` };
+        }
+
+        if (clientsFile) {
+            try {
+                const content = await fs.promises.readFile(path.resolve(cds.root, clientsFile), 'utf8');
+                return { clients: JSON.parse(content), source: `file:${clientsFile}` };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return { clients: [], source: 'none' };
+    }
+
+    /**
+     * Counts a secret check for the caller IP.
+     * @returns {number} Seconds until the caller may try again, 0 if the check may run.
+     */
+    _throttle(ip) {
+        const maxAttempts = this.options.maxFailedAttempts ?? 10;
+        const windowMs = this.options.failedAttemptWindow ?? 60000;
+        const now = Date.now();
+
+        let entry = this.attempts.get(ip);
+        if (!entry || now - entry.since > windowMs) {
+            if (this.attempts.size >= 10000) this._pruneAttempts(now, windowMs);
+            entry = { since: now, count: 0 };
+            this.attempts.set(ip, entry);
+        }
+        if (entry.count >= maxAttempts) {
+            return Math.max(1, Math.ceil((entry.since + windowMs - now) / 1000));
+        }
+        entry.count++;
+        return 0;
+    }
+
+    _pruneAttempts(now, windowMs) {
+        for (const [ip, entry] of this.attempts) {
+            if (now - entry.since > windowMs) this.attempts.delete(ip);
+        }
+    }
+
+    /**
+     * Validates a client id / secret pair against the store. Pairs verified before are accepted from
+     * a cache; otherwise the scrypt check is limited per caller IP, counting checks still in progress.
+     * @param {string} [ip] - Caller IP for the attempt limit.
+     * @returns {Promise<{client?: object, reason?: string, retryAfter?: number}>}
+     */
+    async authenticate(clientId, secret, ip = '-') {
+        const client = this.clients.get(clientId);
+
+        if (!client) {
+            return { reason: 'unknown client' };
+        }
+        if (client.expiresAt && client.expiresAt.getTime() < Date.now()) {
+            return { reason: 'credentials expired' };
+        }
+
+        const cacheKey = crypto.createHash('sha256').update(`${clientId}:${secret}`).digest('hex');
+        if (this.verified.has(cacheKey)) {
+            return { client };
+        }
+
+        const retryAfter = this._throttle(ip);
+        if (retryAfter) {
+            return { reason: 'too many failed attempts', retryAfter };
+        }
+        if (!await verifySecret(secret, client.secretHash)) {
+            return { reason: 'invalid secret' };
+        }
+        this.attempts.delete(ip);
+        this.verified.set(cacheKey, true);
+        return { client };
+    }
+}
+
+const credentialStore = new CredentialStore({
+    envVar: 'PROXY_API_CLIENTS',
+    ...cds.env.proxyAuth
+});
+
+// =======================================================================
+// 🔒 BASIC AUTH MIDDLEWARE
+// =======================================================================
+function deny(req, res, clientId, reason, message) {
+    LOG.warn(`Denied ${req.method} ${req.path} - client=${clientId || '-'} reason=${reason}`);
+    res.setHeader('WWW-Authenticate', REALM);
+    return sendError(res, 'AUTHENTICATION_REQUIRED', message);
+}
+
+/**
+ * Authenticates the caller against the credential store and checks the
+ * client's route allowlist. The authenticated client is exposed as req.apiClient.
+ */
+async function basicAuthMiddleware(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+        return deny(req, res, null, 'missing credentials', 'Authentication required.');
+    }
+
+    let clientId;
+    let secret;
+    try {
+        const decodedCreds = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+        const separator = decodedCreds.indexOf(':');
+        if (separator < 0) throw new Error('No separator');
+        clientId = decodedCreds.substring(0, separator);
+        secret = decodedCreds.substring(separator + 1);
+    } catch {
+        return deny(req, res, null, 'malformed header', 'Malformed Authorization header.');
+    }
+
+    let result;
+    try {
+        result = await credentialStore.authenticate(clientId, secret, req.ip);
+    } catch (error) {
+        LOG.error(`Authentication of client=${clientId} failed:`, error.message);
+        return sendError(res, error);
+    }
+    const { client, reason, retryAfter } = result;
+    if (retryAfter) {
+        LOG.warn(`Denied ${req.method} ${req.path} - client=${clientId} ip=${req.ip} reason=${reason}`);
+        return sendError(res, Object.assign(new Error('Too many failed authentication attempts.'), { code: 'AUTHENTICATION_THROTTLED', retryAfter }));
+    }
+    if (!client) {
+        return deny(req, res, clientId, reason, 'Invalid credentials.');
+    }
+
+    if (!routeAllowed(client.routes, req.path)) {
+        LOG.warn(`Denied ${req.method} ${req.path} - client=${clientId} reason=route not allowed`);
+        return sendError(res, 'ACCESS_DENIED', 'Client is not allowed to call this route.');
+    }
+
+    req.apiClient = { id: client.clientId, scopes: client.scopes };
+    const context = getRequestContext();
+    if (context) context.apiClient = req.apiClient;
+    next();
+}
+
+/**
+ * Requires the authenticated client (see basicAuthMiddleware) to hold the given scope.
+ * @param {string} scope - e.g. 'admin'
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.apiClient?.scopes.includes(scope)) {
+            return next();
+        }
+        LOG.warn(`Denied ${req.method} ${req.path} - client=${req.apiClient?.id || '-'} reason=missing scope ${scope}`);
+        return sendError(res, 'ACCESS_DENIED', `Scope '${scope}' required.`);
+    };
+}
+
+module.exports = { CredentialStore, credentialStore, basicAuthMiddleware, requireScope, hashSecret };
+
+// CLI: node srv/lib/credential-store.js <secret>  → prints a secretHash for a client entry
+if (require.main === module) {
+    const secret = process.argv[2];
+    if (!secret) {
+        process.stderr.write('Usage: node srv/lib/credential-store.js <secret>\n');
+        process.exit(1);
+    }
+    process.stdout.write(`${hashSecret(secret)}\n`);
+}
@@ -0,0 +1,236 @@
+// errors.js - S/4 OData error translation, error code catalog and the common error envelope
+const cds = require('@sap/cds');
+
+// =======================================================================
+// 📖 Error Code Catalog - codes are stable, clients may branch on them
+// =======================================================================
+const ERROR_CATALOG = {
+    // Raised by the proxy itself (libs flag thrown errors with these codes, e.g. INVALID_AMOUNT)
+    VALIDATION_FAILED: { status: 400, message: 'The request is invalid.' },
+    AUTHENTICATION_REQUIRED: { status: 401, message: 'Authentication required.' },
+    AUTHENTICATION_THROTTLED: { status: 429, message: 'Too many failed authentication attempts.' },
+    ACCESS_DENIED: { status: 403, message: 'The client is not allowed to perform this request.' },
+    NOT_FOUND: { status: 404, message: 'The requested resource does not exist.' },
+    CONFLICT: { status: 409, message: 'The request conflicts with the current state of the resource.' },
+    IDEMPOTENCY_KEY_REUSED: { status: 422, message: 'The idempotency key was already used with a different payload.' },
+    IDEMPOTENCY_OUTCOME_UNKNOWN: { status: 409, message: 'The earlier request with this idempotency key ended without a definite result.' },
+    INVALID_AMOUNT: { status: 400, message: 'An amount, quantity or percentage is not a number.' },
+    INVALID_ITEM_KEY: { status: 400, message: 'A PurchaseOrderItem is not a valid item number.' },
+    PO_ITEM_MISMATCH: { status: 400, message: 'The items do not match the purchase order.' },
+    PO_CANCEL_REASON_INVALID: { status: 400, message: 'The cancellation reason is unknown.' },
+    PO_NOT_CANCELLABLE: { status: 409, message: 'The purchase order cannot be cancelled.' },
+    ATTACHMENT_TOO_LARGE: { status: 413, message: 'The attachment exceeds the size or file count limit.' },
+    ATTACHMENT_TYPE_NOT_ALLOWED: { status: 415, message: 'The attachment type is not allowed.' },
+    ATTACHMENT_INFECTED: { status: 422, message: 'The attachment contains malware.' },
+    ATTACHMENT_REJECTED: { status: 422, message: 'All attachments were rejected.' },
+    ATTACHMENT_SCAN_FAILED: { status: 503, message: 'The attachment could not be scanned for malware.' },
+    ATTACHMENT_NOT_DELETABLE: { status: 409, message: 'S/4HANA does not allow deleting the attachment.' },
+    APPROVER_LINK_INVALID: { status: 400, message: 'The approver link is invalid.' },
+    APPROVER_LINK_EXPIRED: { status: 410, message: 'The approver link has expired.' },
+    APPROVER_LINK_USED: { status: 410, message: 'The approver link was already used.' },
+    INTERNAL_ERROR: { status: 500, message: 'Internal error in the proxy.' },
+
+    // Translated from S/4 responses
+    S4_VALIDATION_ERROR: { status: 400, message: 'S/4HANA rejected the request data.' },
+    S4_NOT_FOUND: { status: 404, message: 'The document or resource does not exist in S/4HANA.' },
+    S4_DOCUMENT_LOCKED: { status: 409, message: 'The document is being processed by another user in S/4HANA.' },
+    S4_CONFLICT: { status: 409, message: 'The document was changed in S/4HANA in the meantime.' },
+    S4_AUTH_FAILED: { status: 502, message: 'S/4HANA rejected the destination credentials or authorizations.' },
+    S4_CSRF_TOKEN_INVALID: { status: 502, message: 'S/4HANA rejected the CSRF token.' },
+    S4_TIMEOUT: { status: 504, message: 'S/4HANA did not answer in time.' },
+    S4_UNAVAILABLE: { status: 503, message: 'S/4HANA is not reachable.' },
+    S4_CIRCUIT_OPEN: { status: 503, message: 'Calls to S/4HANA are suspended after repeated failures.' },
+    S4_BULKHEAD_FULL: { status: 503, message: 'Too many calls to S/4HANA are waiting.' },
+    S4_SYSTEM_ERROR: { status: 502, message: 'S/4HANA failed to process the request.' },
+    S4_ERROR: { status: 502, message: 'S/4HANA returned an unexpected error.' }
+};
+
+// SAP messages ("<message class>/<number>") with a more specific meaning than their HTTP status.
+// Extended per landscape through cds.s4Errors.messages.
+const SAP_MESSAGE_CODES = {
+    'ME/006': 'S4_DOCUMENT_LOCKED',             // User &1 is already processing &2 &3
+    '/IWBEP/CM_MGW_RT/020': 'S4_NOT_FOUND',     // Resource not found for segment
+    '/IWFND/CM_MGW/020': 'S4_NOT_FOUND',
+    ...cds.env.s4Errors?.messages
+};
+
+// Exception classes S/4 puts in error.code when the real message sits in errordetails
+const WRAPPER_CODES = /^\/IWBEP\/CX_|^\/IWFND\/CX_|^SY\/530$/;
+
+const NETWORK_CODES = {
+    ECONNREFUSED: 'S4_UNAVAILABLE',
+    ENOTFOUND: 'S4_UNAVAILABLE',
+    EAI_AGAIN: 'S4_UNAVAILABLE',
+    ECONNRESET: 'S4_UNAVAILABLE',
+    ETIMEDOUT: 'S4_TIMEOUT',
+    ECONNABORTED: 'S4_TIMEOUT'
+};
+
+/**
+ * "/IWBEP/CM_MGW_RT/020" → { messageClass: "/IWBEP/CM_MGW_RT", messageNumber: "020" }
+ */
+function splitMessageCode(code) {
+    if (!code) return {};
+    const separator = code.lastIndexOf('/');
+    const messageNumber = separator > 0 ? code.slice(separator + 1) : '';
+    return /^\d{3}$/.test(messageNumber)
+        ? { messageClass: code.slice(0, separator), messageNumber }
+        : { messageClass: code, messageNumber: undefined };
+}
+
+const textOf = (message) => (typeof message === 'string' ? message : message?.value) || '';
+
+function toSapMessage(entry) {
+    return {
+        code: entry.code || undefined,
+        ...splitMessageCode(entry.code),
+        message: textOf(entry.message),
+        severity: String(entry.severity || entry['@Common.Severity'] || entry['@com.sap.vocabularies.Common.v1.Severity'] || 'error').toLowerCase(),
+        target: entry.target || entry.propertyref || undefined
+    };
+}
+
+/**
+ * Extracts the SAP messages from an OData V2/V4 error body (JSON, JSON string or XML).
+ * @returns {{primary: object, details: object[], transactionId?: string}|undefined}
+ */
+function parseSapErrorBody(body) {
+    let parsed = body;
+    if (Buffer.isBuffer(parsed)) parsed = parsed.toString('utf8');
+    if (typeof parsed === 'string') {
+        const text = parsed.trim();
+        if (text.startsWith('{')) {
+            try {
+                parsed = JSON.parse(text);
+            } catch {
+                return undefined;
+            }
+        } else if (text.startsWith('<')) {
+            const code = text.match(/<code>([^<]*)<\/code>/)?.[1];
+            const message = text.match(/<message[^>]*>([^<]*)<\/message>/)?.[1];
+            return message ? { primary: toSapMessage({ code, message }), details: [] } : undefined;
+        } else {
+            return undefined;
+        }
+    }
+
+    const error = parsed?.error;
+    if (!error) return undefined;
+
+    // V2: innererror.errordetails, V4: details
+    const details = (error.innererror?.errordetails || error.details || []).map(toSapMessage);
+    const header = toSapMessage({ code: error.code, message: error.message, target: error.target });
+
+    const businessMessage = details.find(detail => detail.severity === 'error' && !WRAPPER_CODES.test(detail.code || ''));
+    const primary = WRAPPER_CODES.test(header.code || '') && businessMessage
+        ? { ...businessMessage, target: businessMessage.target || header.target }
+        : { ...header, target: header.target || businessMessage?.target };
+
+    return {
+        primary,
+        details: details.filter(detail => !WRAPPER_CODES.test(detail.code || '')),
+        transactionId: error.innererror?.transactionid
+    };
+}
+
+function codeForStatus(status, headers = {}) {
+    if (status === 401 || status === 407) return 'S4_AUTH_FAILED';
+    if (status === 403) return String(headers['x-csrf-token']).toLowerCase() === 'required' ? 'S4_CSRF_TOKEN_INVALID' : 'S4_AUTH_FAILED';
+    if (status === 404) return 'S4_NOT_FOUND';
+    if (status === 409 || status === 412 || status === 428) return 'S4_CONFLICT';
+    if (status === 423) return 'S4_DOCUMENT_LOCKED';
+    if (status === 400 || status === 422) return 'S4_VALIDATION_ERROR';
+    if (status === 504) return 'S4_TIMEOUT';
+    if (status === 502 || status === 503) return 'S4_UNAVAILABLE';
+    if (status >= 500) return 'S4_SYSTEM_ERROR';
+    return 'S4_ERROR';
+}
+
+/**
+ * Translates anything a route may catch into one normalized error: an S/4 HTTP error
+ * (SDK/axios, `error.response`), a failed $batch changeset (`{ status, message, body }`),
+ * a network error, an error flagged with a catalog code or any other exception.
+ *
+ * @returns {{code: string, status: number, message: string, s4Status?: number,
+ *            sap?: {code, messageClass, messageNumber, severity, target, transactionId, details}}}
+ */
+function translateError(error) {
+    // The cloud SDK may wrap the HTTP client error
+    const response = error?.response || error?.cause?.response;
+    const s4Status = response?.status ?? (error?.body !== undefined ? error.status : undefined);
+    const body = response ? response.data : error?.body;
+    const headers = response?.headers || {};
+
+    if (!s4Status) {
+        if (ERROR_CATALOG[error?.code]) {
+            return { code: error.code, status: ERROR_CATALOG[error.code].status, message: error.message };
+        }
+        const networkCode = NETWORK_CODES[error?.code] || NETWORK_CODES[error?.cause?.code];
+        if (networkCode) {
+            return { code: networkCode, status: ERROR_CATALOG[networkCode].status, message: `${ERROR_CATALOG[networkCode].message} (${error.message})` };
+        }
+        return { code: 'INTERNAL_ERROR', status: 500, message: error?.message || String(error) };
+    }
+
+    const sapError = parseSapErrorBody(body);
+    const code = SAP_MESSAGE_CODES[sapError?.primary.code] || codeForStatus(s4Status, headers);
+    const catalogStatus = ERROR_CATALOG[code].status;
+
+    return {
+        code,
+        // Unmapped 4xx keep the S/4 status
+        status: code === 'S4_ERROR' && s4Status < 500 ? s4Status : catalogStatus,
+        message: sapError?.primary.message || error.message || ERROR_CATALOG[code].message,
+        s4Status,
+        ...(sapError && {
+            sap: {
+                ...sapError.primary,
+                transactionId: sapError.transactionId,
+                details: sapError.details
+            }
+        })
+    };
+}
+
+/**
+ * Builds the common error envelope:
+ * `{ success: false, message, error: { code, message, s4Status?, sap? }, ...extras }`.
+ *
+ * @param {Error|string} error - A caught error, or a catalog code for errors raised by the route itself.
+ * @param {string} [message] - Route context, e.g. "Failed to create PO". Prefixed to translated S/4 messages.
+ * @param {object} [extras] - Route specific fields, e.g. violations or itemUpdateResults.
+ * @returns {{status: number, body: object}}
+ */
+function errorResponse(error, message, extras = {}) {
+    if (typeof error === 'string') {
+        const entry = ERROR_CATALOG[error] || ERROR_CATALOG.INTERNAL_ERROR;
+        return {
+            status: entry.status,
+            body: { success: false, message: message || entry.message, error: { code: error, message: message || entry.message }, ...extras }
+        };
+    }
+
+    const translated = translateError(error);
+    const { status, ...details } = translated;
+    return {
+        status,
+        body: {
+            success: false,
+            message: message ? `${message}: ${translated.message}` : translated.message,
+            error: details,
+            ...extras
+        }
+    };
+}
+
+/**
+ * Sends the common error envelope, see errorResponse. Errors carrying `retryAfter` (seconds,
+ * e.g. an open circuit) set the Retry-After header.
+ */
+function sendError(res, error, message, extras) {
+    const { status, body } = errorResponse(error, message, extras);
+    if (error?.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(status).json(body);
+}
+
+module.exports = { ERROR_CATALOG, parseSapErrorBody, translateError, errorResponse, sendError };
@@ -0,0 +1,207 @@
+// idempotency.js - Replays the original response when a client retries a transactional call
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const { SELECT, INSERT, UPDATE, DELETE } = cds.ql;
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+const LOG = logger('idempotency');
+
+const KEYS_ENTITY = 'cap.proxy.IdempotencyKeys';
+
+// An IN_PROGRESS key older than this was abandoned (e.g. the instance crashed mid-request) and is
+// reported as IDEMPOTENCY_OUTCOME_UNKNOWN instead of "still processing".
+// Must stay above the worst-case duration of the wrapped route (S/4 timeout × retries).
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashPayload = (payload) => crypto.createHash('sha256').update(JSON.stringify(payload ?? null)).digest('hex');
+
+// 5xx codes of calls the proxy refused before sending anything to S/4
+const NOT_SENT_CODES = ['S4_CIRCUIT_OPEN', 'S4_BULKHEAD_FULL'];
+
+/**
+ * Stored status for a response: 2xx/3xx completed the call, a 4xx means the request was
+ * rejected and may be retried. Anything else (5xx, timeout, connection lost before the
+ * response was sent, route crashed) leaves open whether S/4 created the document.
+ * @param {number|null} statusCode - null when no response was sent.
+ * @param {object} [body]
+ */
+function outcomeOf(statusCode, body) {
+    if (statusCode && statusCode < 400) return 'COMPLETED';
+    if (statusCode >= 400 && statusCode < 500) return 'FAILED';
+    if (NOT_SENT_CODES.includes(body?.error?.code)) return 'FAILED';
+    return 'INDETERMINATE';
+}
+
+/**
+ * Takes over a key whose earlier attempt was rejected (FAILED).
+ * The WHERE clause makes the takeover atomic, so only one retry wins.
+ */
+async function reclaim(record, requestHash) {
+    const updated = await UPDATE(KEYS_ENTITY)
+        .set({ Status: 'IN_PROGRESS', RequestHash: requestHash, ResponseStatus: null, ResponseBody: null })
+        .where({ IdempotencyKey: record.IdempotencyKey, Status: 'FAILED' });
+    return updated > 0;
+}
+
+async function persistOutcome(key, statusCode, body) {
+    await UPDATE(KEYS_ENTITY)
+        .set({
+            Status: outcomeOf(statusCode, body),
+            ResponseStatus: statusCode,
+            ResponseBody: body === undefined ? null : JSON.stringify(body)
+        })
+        .where({ IdempotencyKey: key });
+}
+
+const isRunning = (record) => record.Status === 'IN_PROGRESS' && new Date(record.modifiedAt) >= new Date(Date.now() - LOCK_TIMEOUT_MS);
+
+/**
+ * Refuses a retry of a key that must not run again.
+ */
+function sendLocked(res, key, existing) {
+    if (isRunning(existing)) {
+        return sendError(res, 'CONFLICT', `A request with idempotency key '${key}' is still being processed.`);
+    }
+    // INDETERMINATE, or IN_PROGRESS of an instance that died mid-request
+    return sendError(res, 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+        `The earlier request with idempotency key '${key}' ended without a definite result. Check S/4HANA before retrying with a new key.`,
+        {
+            previousOutcome: {
+                status: existing.ResponseStatus ?? null,
+                body: existing.ResponseBody ? JSON.parse(existing.ResponseBody) : null,
+                at: existing.modifiedAt
+            }
+        });
+}
+
+/**
+ * Express middleware making a JSON route idempotent.
+ *
+ * - first request: key is stored IN_PROGRESS, the route runs and its response is persisted
+ * - retry after success: the stored response is returned with `Idempotent-Replayed: true`
+ * - retry while the first request still runs: 409 CONFLICT
+ * - retry after a rejection (4xx, or S/4 call refused by circuit breaker/bulkhead): the route runs again
+ * - retry after a 5xx, a lost connection, a crashed route or an IN_PROGRESS key older than
+ *   LOCK_TIMEOUT_MS: 409 IDEMPOTENCY_OUTCOME_UNKNOWN with the stored outcome, the key stays locked
+ * - same key with a different payload: 422
+ *
+ * @param {(req) => string|undefined} keyFrom - Fallback key when no Idempotency-Key header is sent.
+ *        Requests without any key are passed through unchanged.
+ */
+function idempotencyMiddleware(keyFrom = () => undefined) {
+    return async (req, res, next) => {
+        const key = req.headers['idempotency-key'] || keyFrom(req);
+        if (!key) return next();
+
+        const scopedKey = `${req.path}:${key}`;
+        const requestHash = hashPayload(req.body);
+
+        try {
+            try {
+                await INSERT.into(KEYS_ENTITY).entries({
+                    IdempotencyKey: scopedKey,
+                    Route: req.path,
+                    RequestHash: requestHash,
+                    Status: 'IN_PROGRESS'
+                });
+            } catch (insertError) {
+                const existing = await SELECT.one.from(KEYS_ENTITY).where({ IdempotencyKey: scopedKey });
+                if (!existing) throw insertError;
+
+                // A rejected attempt may be retried with a corrected payload
+                if (existing.Status !== 'FAILED' && existing.RequestHash !== requestHash) {
+                    LOG.warn(`Key ${scopedKey} reused with a different payload`);
+                    return sendError(res, 'IDEMPOTENCY_KEY_REUSED', `Idempotency key '${key}' was already used with a different request payload.`);
+                }
+
+                if (existing.Status === 'COMPLETED') {
+                    LOG.info(`Replaying stored response for ${scopedKey}`);
+                    res.setHeader('Idempotent-Replayed', 'true');
+                    res.status(existing.ResponseStatus);
+                    return existing.ResponseBody ? res.json(JSON.parse(existing.ResponseBody)) : res.end();
+                }
+
+                if (existing.Status !== 'FAILED' || !await reclaim(existing, requestHash)) {
+                    LOG.warn(`Rejecting retry of ${scopedKey} (${existing.Status})`);
+                    return sendLocked(res, key, existing);
+                }
+            }
+
+            // The outcome is stored once per request: from res.json before the body is sent, so an
+            // immediate retry already sees it, otherwise when the response ends (res.send/res.end,
+            // error handler) or the connection closes without a response.
+            let settled = false;
+            const settle = (statusCode, body) => {
+                if (settled) return Promise.resolve();
+                settled = true;
+                return persistOutcome(scopedKey, statusCode, body)
+                    .catch(error => LOG.error(`Failed to persist outcome for ${scopedKey}:`, error.message));
+            };
+
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                settle(res.statusCode, body).finally(() => json(body));
+                return res;
+            };
+            res.on('close', () => settle(res.writableFinished ? res.statusCode : null));
+            return next();
+
+        } catch (error) {
+            LOG.error(`Key handling failed for ${scopedKey}:`, error);
+            return sendError(res, error, 'Failed to process idempotency key');
+        }
+    };
+}
+
+/**
+ * Deletes COMPLETED and FAILED keys last changed more than `retentionDays` ago. INDETERMINATE keys
+ * are kept until an admin releases them (see releaseKey).
+ * @param {number} [retentionDays] - Defaults to cds.idempotency.retentionDays (30).
+ * @returns {Promise<number>} Number of deleted keys.
+ */
+async function purgeExpiredKeys(retentionDays = cds.env.idempotency?.retentionDays ?? 30) {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    const deleted = await DELETE.from(KEYS_ENTITY).where({ Status: { in: ['COMPLETED', 'FAILED'] }, modifiedAt: { '<': cutoff } });
+    if (deleted) LOG.info(`Purged ${deleted} idempotency keys older than ${retentionDays} days`);
+    return deleted;
+}
+
+/**
+ * Purges expired keys now and then once a day, outside of the request path.
+ */
+function schedulePurge() {
+    const purge = () => purgeExpiredKeys().catch(error => LOG.error('Purging idempotency keys failed:', error.message));
+    purge();
+    setInterval(purge, DAY_MS).unref();
+}
+
+/**
+ * Releases a key whose outcome is unknown (INDETERMINATE, or IN_PROGRESS past LOCK_TIMEOUT_MS) once
+ * someone has checked S/4, so the next request with it runs the route again.
+ * @param {string} route - e.g. '/http/post/data'
+ * @param {string} key - The Idempotency-Key header, or the PR number for PO creation.
+ * @returns {Promise<object>} The released record.
+ */
+async function releaseKey(route, key) {
+    const scopedKey = `${route}:${key}`;
+    const existing = await SELECT.one.from(KEYS_ENTITY).where({ IdempotencyKey: scopedKey });
+
+    if (!existing) {
+        throw Object.assign(new Error(`No idempotency key '${key}' for ${route}.`), { code: 'NOT_FOUND' });
+    }
+    if (existing.Status === 'COMPLETED' || existing.Status === 'FAILED' || isRunning(existing)) {
+        throw Object.assign(new Error(`Idempotency key '${key}' is ${existing.Status}, only keys without a definite result can be released.`), { code: 'CONFLICT' });
+    }
+
+    // Guarded by status and timestamp, so a key a request took over in the meantime stays
+    const deleted = await DELETE.from(KEYS_ENTITY).where({ IdempotencyKey: scopedKey, Status: existing.Status, modifiedAt: existing.modifiedAt });
+    if (!deleted) {
+        throw Object.assign(new Error(`Idempotency key '${key}' changed in the meantime.`), { code: 'CONFLICT' });
+    }
+    return existing;
+}
+
+module.exports = { idempotencyMiddleware, purgeExpiredKeys, schedulePurge, releaseKey };
@@ -0,0 +1,130 @@
+// input-validation.js - Versioned JSON Schema validation of context.prRequisitionInputs (BPA routes)
+const Ajv = require('ajv');
+const fs = require('fs');
+const path = require('path');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+const LOG = logger('validation');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const SCHEMA_FILE = /^pr-requisition-inputs\.v(\d+)\.json$/;
+const DEFAULT_VERSION = '1';
+
+// Route profile → definition in the schema file
+const PROFILES = {
+    create: 'CreateInputs',
+    update: 'UpdateInputs',
+    cancel: 'CancelInputs',
+    approverRequired: 'ApproverRequiredInputs'
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true, strictTypes: false });
+
+/**
+ * Compiles one validator per schema version and profile, e.g. validators.get('1').create.
+ * @returns {Map<string, object>}
+ */
+function compileValidators() {
+    const validators = new Map();
+    for (const file of fs.readdirSync(SCHEMA_DIR)) {
+        const version = file.match(SCHEMA_FILE)?.[1];
+        if (!version) continue;
+
+        const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+        ajv.addSchema(schema);
+        validators.set(version, Object.fromEntries(Object.entries(PROFILES).map(([profile, definition]) => [
+            profile,
+            ajv.compile({
+                type: 'object',
+                required: ['context'],
+                properties: {
+                    context: {
+                        type: 'object',
+                        required: ['prRequisitionInputs'],
+                        properties: { prRequisitionInputs: { $ref: `${schema.$id}#/$defs/${definition}` } }
+                    }
+                }
+            })
+        ])));
+    }
+    return validators;
+}
+
+const validators = compileValidators();
+
+/**
+ * "/context/prRequisitionInputs/Item/0/Quantity" → "$.context.prRequisitionInputs.Item[0].Quantity"
+ */
+const toJsonPath = (pointer) => pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((jsonPath, segment) => /^\d+$/.test(segment) ? `${jsonPath}[${segment}]` : `${jsonPath}.${segment}`, '$');
+
+/**
+ * Turns Ajv errors into one { path, message } per violation. if/then/else wrappers are dropped,
+ * the `required` error they wrap is reported instead.
+ */
+function toViolations(errors = []) {
+    const violations = errors
+        .filter(error => error.keyword !== 'if')
+        .map(error => {
+            if (error.keyword === 'required') {
+                return { path: toJsonPath(`${error.instancePath}/${error.params.missingProperty}`), message: 'is required' };
+            }
+            const message = error.keyword === 'pattern' && error.parentSchema?.description
+                ? error.parentSchema.description
+                : error.message;
+            return { path: toJsonPath(error.instancePath), message };
+        });
+
+    const unique = new Map(violations.map(violation => [`${violation.path} ${violation.message}`, violation]));
+    return [...unique.values()].sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+}
+
+/**
+ * Validates a BPA request body against a schema profile.
+ *
+ * @param {object} body - Request body with context.prRequisitionInputs.
+ * @param {string} profile - create | update | cancel | approverRequired
+ * @param {string} [version] - Schema version, defaults to context.schemaVersion or 1.
+ * @returns {{valid: boolean, version: string, violations: Array<{path: string, message: string}>}}
+ */
+function validatePrRequisitionInputs(body, profile, version) {
+    const schemaVersion = String(version ?? body?.context?.schemaVersion ?? DEFAULT_VERSION);
+    const validate = validators.get(schemaVersion)?.[profile];
+    if (!validate) {
+        return {
+            valid: false,
+            version: schemaVersion,
+            violations: [{
+                path: '$.context.schemaVersion',
+                message: `unsupported schema version, expected one of: ${[...validators.keys()].join(', ')}`
+            }]
+        };
+    }
+
+    const valid = validate(body);
+    return { valid, version: schemaVersion, violations: valid ? [] : toViolations(validate.errors) };
+}
+
+/**
+ * Express middleware rejecting invalid BPA payloads with 400 before any S/4 call.
+ * @param {string|((req) => string)} profile - Profile name, or a function picking it per request.
+ */
+function prRequisitionValidation(profile) {
+    return (req, res, next) => {
+        const profileName = typeof profile === 'function' ? profile(req) : profile;
+        const result = validatePrRequisitionInputs(req.body, profileName);
+        if (result.valid) return next();
+
+        LOG.warn(`${req.path} rejected (${profileName}, v${result.version}): ${result.violations.length} violation(s)`);
+        return sendError(res, 'VALIDATION_FAILED', `Invalid prRequisitionInputs: ${result.violations.length} violation(s).`, {
+            schemaVersion: result.version,
+            violations: result.violations
+        });
+    };
+}
+
+module.exports = { validatePrRequisitionInputs, prRequisitionValidation };
@@ -0,0 +1,102 @@
+// logger.js - Structured, redacted log lines with the correlation id of the request, on top of cds.log
+const cds = require('@sap/cds');
+const util = require('util');
+const { redact } = require('./redact');
+const { getRequestContext } = require('./request-context');
+
+const LEVEL_NAMES = { 1: 'error', 2: 'warn', 3: 'info', 4: 'debug', 5: 'trace' };
+
+/**
+ * Correlation id of the current request: the proxy's request context (Express routes) or cds.context (CAP).
+ * @returns {string|undefined}
+ */
+function correlationId() {
+    return getRequestContext()?.correlationId || cds.context?.id;
+}
+
+const isObject = (arg) => typeof arg === 'object' && arg !== null && !(arg instanceof Error);
+
+function describeError(error, level) {
+    return {
+        message: error.message,
+        code: error.code,
+        status: error.response?.status ?? error.status,
+        // Stack traces only on error level, 4xx style errors are expected
+        stack: level <= 1 && typeof error.stack === 'string' ? error.stack.split(/\n\s*/) : undefined
+    };
+}
+
+/**
+ * cds.log formatter. `cds.log.output` selects JSON lines (default) or plain text for local development.
+ * Objects are redacted (tokens, cookies, Authorization, secrets and the keys in cds.log.redact).
+ *
+ * JSON: {"timestamp","level","logger","correlation_id","msg","data"?,"error"?}
+ */
+function format(label, level, ...args) {
+    const { output = 'json', redact: piiFields = [] } = cds.env.log || {};
+    const id = correlationId();
+    const safe = args.map(arg => (isObject(arg) ? redact(arg, piiFields) : arg));
+
+    if (output === 'plain') {
+        // Errors as text: HTTP client errors carry the request config, including the Authorization header
+        const text = safe.map(arg => (arg instanceof Error ? (level <= 1 && arg.stack) || arg.message : arg));
+        return [`[${label}]${id ? ` ${id.slice(0, 8)}` : ''} -`, ...text];
+    }
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        level: LEVEL_NAMES[level] || 'info',
+        logger: label,
+        correlation_id: id,
+        msg: ''
+    };
+    const texts = [];
+    const data = [];
+    for (const arg of safe) {
+        if (arg instanceof Error) entry.error = describeError(arg, level);
+        else if (isObject(arg)) data.push(arg);
+        else texts.push(typeof arg === 'string' ? arg : util.inspect(arg));
+    }
+    entry.msg = texts.join(' ');
+    if (data.length > 0) entry.data = data.length === 1 ? data[0] : data;
+    return [JSON.stringify(entry)];
+}
+
+/**
+ * Installs the formatter on all cds loggers, including the ones of CAP itself. cds.env is loaded
+ * first: loading it applies cds' own log config, which would otherwise replace the formatter later.
+ */
+function installFormat() {
+    cds.env.log;
+    cds.log.format = format;
+    for (const each of Object.values(cds.log.loggers)) each.setFormat(format);
+}
+
+installFormat();
+
+/**
+ * Logger of a module; its level comes from cds.log.levels (e.g. { "s4": "debug" }) or DEBUG=s4.
+ *
+ *     const LOG = logger('proxy');
+ *     LOG.info('PO created', { poNumber });
+ *
+ * @param {string} module
+ * @returns {object} - cds.log logger: error, warn, info, debug, trace and _debug etc. flags.
+ */
+function logger(module) {
+    return cds.log(module);
+}
+
+/**
+ * http-client middleware forwarding the correlation id to S/4 (X-CorrelationID, shown in the
+ * Gateway error log and traces).
+ */
+function correlationHeaderMiddleware() {
+    return ({ fn }) => (request) => {
+        const id = correlationId();
+        if (id) request.headers = { ...request.headers, 'X-CorrelationID': id };
+        return fn(request);
+    };
+}
+
+module.exports = { logger, correlationId, correlationHeaderMiddleware, format };
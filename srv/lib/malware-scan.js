@@ -0,0 +1,121 @@
+// malware-scan.js - Malware scan of uploaded files before they are sent to S/4 (clamd or a custom scanner)
+const cds = require('@sap/cds');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { logger } = require('./logger');
+
+const LOG = logger('scan');
+
+const scanFailed = (message) => Object.assign(new Error(`Malware scan failed: ${message}`), { code: 'ATTACHMENT_SCAN_FAILED' });
+
+/**
+ * Scanner interface: scan(filePath, file) resolves to { clean: true } or { clean: false, signature }
+ * and rejects with ATTACHMENT_SCAN_FAILED when the file could not be scanned.
+ */
+class NoScanner {
+    async scan() {
+        return { clean: true, skipped: true };
+    }
+}
+
+/**
+ * Scans with clamd over TCP (INSTREAM command), e.g. ClamAV's clamd or the stand-in in mock/clamav.
+ */
+class ClamAVScanner {
+    /**
+     * @param {object} options
+     * @param {string} [options.host='localhost']
+     * @param {number} [options.port=3310]
+     * @param {number} [options.timeout=60000] - ms for the whole scan.
+     * @param {number} [options.chunkSize=65536] - Bytes per INSTREAM chunk.
+     */
+    constructor({ host = 'localhost', port = 3310, timeout = 60000, chunkSize = 64 * 1024 } = {}) {
+        this.host = host;
+        this.port = port;
+        this.timeout = timeout;
+        this.chunkSize = chunkSize;
+    }
+
+    scan(filePath) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host: this.host, port: this.port });
+            const chunks = [];
+            let settled = false;
+            const settle = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                fn(value);
+            };
+
+            socket.setTimeout(this.timeout, () => settle(reject, scanFailed(`clamd did not answer within ${this.timeout / 1000}s`)));
+            socket.on('error', error => settle(reject, scanFailed(error.message)));
+            socket.on('data', chunk => chunks.push(chunk));
+            socket.on('end', () => {
+                // "stream: OK", "stream: Eicar-Test-Signature FOUND" or "<reason> ERROR"
+                const reply = Buffer.concat(chunks).toString().replace(/\0/g, '').trim();
+                const found = reply.match(/^stream: (.+) FOUND$/);
+                if (reply === 'stream: OK') settle(resolve, { clean: true });
+                else if (found) settle(resolve, { clean: false, signature: found[1] });
+                else settle(reject, scanFailed(reply || 'no answer from clamd'));
+            });
+            socket.on('connect', () => {
+                this.send(socket, filePath).catch(error => settle(reject, scanFailed(error.message)));
+            });
+        });
+    }
+
+    /**
+     * INSTREAM: the command, then chunks of <4 byte length><data>, ended by a zero length.
+     */
+    async send(socket, filePath) {
+        socket.write('zINSTREAM\0');
+        for await (const chunk of fs.createReadStream(filePath, { highWaterMark: this.chunkSize })) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!socket.write(Buffer.concat([length, chunk]))) await once(socket, 'drain');
+        }
+        socket.write(Buffer.alloc(4));
+    }
+}
+
+const SCANNERS = { none: NoScanner, clamav: ClamAVScanner };
+
+/**
+ * The scanner configured in cds.attachments.scanner:
+ * { kind: 'clamav', host, port, timeout }, { kind: 'none' } or { impl: '<module>' } for a custom scanner,
+ * a module (relative to the project root) exporting an object with scan(filePath, file).
+ */
+function createScanner(config = cds.env.attachments?.scanner || {}) {
+    if (config.impl) {
+        return require(path.resolve(cds.root, config.impl));
+    }
+    const Scanner = SCANNERS[config.kind || 'none'];
+    if (!Scanner) {
+        throw new Error(`Unknown malware scanner '${config.kind}' (cds.attachments.scanner), expected one of: ${Object.keys(SCANNERS).join(', ')}`);
+    }
+    if (Scanner === NoScanner) {
+        LOG.warn('No malware scanner configured (cds.attachments.scanner), attachments are sent to S/4 unscanned');
+    }
+    return new Scanner(config);
+}
+
+let scanner;
+
+/**
+ * Scans a spooled upload with the configured scanner.
+ * @param {object} file - multer file: originalname, path.
+ * @throws {Error} ATTACHMENT_INFECTED, or ATTACHMENT_SCAN_FAILED if the scanner is unavailable.
+ */
+async function scanUpload(file) {
+    scanner ??= createScanner();
+    const result = await scanner.scan(file.path, file);
+    if (!result.clean) {
+        LOG.warn(`Malware found in '${file.originalname}': ${result.signature}`);
+        throw Object.assign(new Error(`'${file.originalname}' contains malware (${result.signature})`), { code: 'ATTACHMENT_INFECTED' });
+    }
+}
+
+module.exports = { ClamAVScanner, NoScanner, createScanner, scanUpload };
@@ -0,0 +1,132 @@
+// metrics.js - Prometheus metrics of the proxy (GET /metrics)
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'proxy_' });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const httpRequests = new client.Counter({
+    name: 'proxy_http_requests_total',
+    help: 'HTTP requests handled, per route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'proxy_http_request_duration_seconds',
+    help: 'HTTP request latency, per route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const s4Duration = new client.Histogram({
+    name: 'proxy_s4_request_duration_seconds',
+    help: 'Latency of S/4 calls (without bulkhead wait), per service and destination',
+    labelNames: ['service', 'destination', 'method', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const s4Retries = new client.Counter({
+    name: 'proxy_s4_request_retries_total',
+    help: 'S/4 calls repeated by executeS4Request after a network error or 5xx',
+    labelNames: ['service'],
+    registers: [registry]
+});
+
+const csrfCache = new client.Counter({
+    name: 'proxy_csrf_token_cache_total',
+    help: 'CSRF tokens of S/4 writes: hit (cached), miss (fetched from S/4) or rejected (CSRF 403, write repeated)',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+const attachmentBytes = new client.Counter({
+    name: 'proxy_attachment_upload_bytes_total',
+    help: 'Bytes of uploaded attachment files, per outcome: success, failed (S/4 error) or rejected (type check, malware scan)',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+/**
+ * Registers gauges read when /metrics is scraped, e.g. the bulkhead depth from s4-resilience.js.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.help
+ * @param {string[]} options.labelNames
+ * @param {() => Array<{labels: object, value: number}>} read - Current values.
+ */
+function registerGauge({ name, help, labelNames }, read) {
+    return new client.Gauge({
+        name,
+        help,
+        labelNames,
+        registers: [registry],
+        collect() {
+            this.reset();
+            for (const { labels, value } of read()) this.set(labels, value);
+        }
+    });
+}
+
+/**
+ * Route label: the Express route pattern (e.g. /odata/v4/proxy/admin/cache/:route?) or, for CAP
+ * served OData, the service path. Keeps ids and keys out of the label values.
+ */
+function routeLabel(req) {
+    if (req.route?.path) return `${req.baseUrl || ''}${req.route.path}`;
+    return req.baseUrl || 'unmatched';
+}
+
+/**
+ * Express middleware recording count and latency of every request.
+ */
+function metricsMiddleware(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+        httpRequests.inc(labels);
+        end(labels);
+    });
+    next();
+}
+
+/**
+ * http-client middleware timing each S/4 call (see s4-resilience.js).
+ * @param {string} service - e.g. 'ProxyService'
+ * @param {string} destination - Destination name.
+ */
+function s4TimingMiddleware(service, destination) {
+    return ({ fn }) => async (request) => {
+        const end = s4Duration.startTimer({ service, destination, method: String(request?.method || 'GET').toUpperCase() });
+        try {
+            const response = await fn(request);
+            end({ status: String(response.status) });
+            return response;
+        } catch (error) {
+            end({ status: String(error.response?.status || error.code || 'error') });
+            throw error;
+        }
+    };
+}
+
+/**
+ * Express handler serving the registry in the Prometheus text format.
+ */
+async function metricsHandler(req, res) {
+    res.setHeader('Content-Type', registry.contentType);
+    res.end(await registry.metrics());
+}
+
+module.exports = {
+    registry,
+    metricsMiddleware,
+    metricsHandler,
+    s4TimingMiddleware,
+    registerGauge,
+    s4Retries,
+    csrfCache,
+    attachmentBytes
+};
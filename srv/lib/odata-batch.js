@@ -0,0 +1,170 @@
+// odata-batch.js - OData V2 $batch requests with changesets (multipart/mixed)
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+/**
+ * Serializes changesets into a $batch request body. Every changeset is committed
+ * or rolled back by S/4 as a unit.
+ *
+ * @param {Array<Array<{method: string, url: string, data?: object}>>} changesets -
+ *        `url` is relative to the service root, e.g. "A_PurchaseOrder('4500000001')".
+ * @returns {{boundary: string, body: string}}
+ */
+function buildBatchBody(changesets) {
+    const boundary = `batch_${crypto.randomUUID()}`;
+    const lines = [];
+
+    changesets.forEach((operations, changesetIndex) => {
+        const changesetBoundary = `changeset_${crypto.randomUUID()}`;
+        lines.push(`--${boundary}`, `Content-Type: multipart/mixed; boundary=${changesetBoundary}`, '');
+
+        operations.forEach((operation, operationIndex) => {
+            lines.push(
+                `--${changesetBoundary}`,
+                'Content-Type: application/http',
+                'Content-Transfer-Encoding: binary',
+                `Content-ID: ${changesetIndex + 1}.${operationIndex + 1}`,
+                '',
+                `${operation.method} ${operation.url} HTTP/1.1`,
+                'Content-Type: application/json',
+                'Accept: application/json',
+                '',
+                operation.data !== undefined ? JSON.stringify(operation.data) : ''
+            );
+        });
+        lines.push(`--${changesetBoundary}--`, '');
+    });
+    lines.push(`--${boundary}--`, '');
+
+    return { boundary, body: lines.join(CRLF) };
+}
+
+const boundaryOf = (contentType = '') => contentType.match(/boundary=("?)([^";]+)\1/i)?.[2];
+
+function parseHeaders(text) {
+    const headers = {};
+    for (const line of text.split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+    return headers;
+}
+
+const splitHead = (text) => {
+    const match = text.match(/\r?\n\r?\n/);
+    return match
+        ? [text.slice(0, match.index), text.slice(match.index + match[0].length)]
+        : [text, ''];
+};
+
+/**
+ * Splits a multipart/mixed body into its parts. Nested multipart parts
+ * (changesets) are returned as `{ parts: [...] }`.
+ * @returns {Array<{headers: object, body: string}|{headers: object, parts: object[]}>}
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    return String(body)
+        .split(delimiter)
+        .slice(1)
+        .filter(section => !section.startsWith('--'))
+        .map(section => {
+            const [head, content] = splitHead(section.replace(/^\r?\n/, ''));
+            const headers = parseHeaders(head);
+            const nestedBoundary = /multipart\/mixed/i.test(headers['content-type'] || '') && boundaryOf(headers['content-type']);
+            if (nestedBoundary) {
+                return { headers, parts: parseMultipart(content, nestedBoundary) };
+            }
+            return { headers, body: content.replace(/\r?\n$/, '') };
+        });
+}
+
+/**
+ * Parses an embedded `application/http` part into a response (or request) line, headers and body.
+ */
+function parseHttpPart(part) {
+    const [head, content] = splitHead(part.body);
+    const [startLine, ...headerLines] = head.split(/\r?\n/);
+    const headers = parseHeaders(headerLines.join('\n'));
+
+    let body = content.trim();
+    if (body && /json/i.test(headers['content-type'] || '')) {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            // leave the raw text
+        }
+    }
+
+    const status = startLine.match(/^HTTP\/\d\.\d\s+(\d{3})/);
+    if (status) {
+        return { contentId: part.headers['content-id'], status: Number(status[1]), headers, body };
+    }
+    const [method, url] = startLine.split(' ');
+    return { contentId: part.headers['content-id'], method, url, headers, body };
+}
+
+const errorMessageOf = (response) =>
+    response.body?.error?.message?.value || (typeof response.body === 'string' && response.body) || `HTTP ${response.status}`;
+
+/**
+ * Maps a $batch response back onto the changesets that were sent.
+ *
+ * A committed changeset comes back as a nested multipart with one response per
+ * operation; a rolled back changeset comes back as a single error response.
+ *
+ * @returns {Array<{success: boolean, responses: object[], error?: {status: number, message: string, body: *}}>}
+ */
+function parseBatchResponse(body, contentType) {
+    const boundary = boundaryOf(contentType);
+    if (!boundary) {
+        throw new Error(`Unexpected $batch response content type '${contentType}'`);
+    }
+
+    return parseMultipart(body, boundary).map(part => {
+        if (part.parts) {
+            const responses = part.parts.map(parseHttpPart);
+            const failed = responses.find(response => response.status >= 400);
+            return failed
+                ? { success: false, responses, error: { status: failed.status, message: errorMessageOf(failed), body: failed.body } }
+                : { success: true, responses };
+        }
+        const response = parseHttpPart(part);
+        return response.status >= 400
+            ? { success: false, responses: [response], error: { status: response.status, message: errorMessageOf(response), body: response.body } }
+            : { success: true, responses: [response] };
+    });
+}
+
+/**
+ * Sends changesets as one $batch request to an OData V2 service.
+ *
+ * @param {(config: object) => Promise<object>} execute - e.g. executeS4Request.
+ * @param {string} servicePath - e.g. '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV'.
+ * @param {Array<Array<object>>} changesets - See buildBatchBody.
+ * @returns {Promise<Array<object>>} - One result per changeset, see parseBatchResponse.
+ */
+async function executeBatch(execute, servicePath, changesets, timeout = 120000) {
+    const { boundary, body } = buildBatchBody(changesets);
+
+    const response = await execute({
+        method: 'POST',
+        url: `${servicePath}/$batch`,
+        headers: {
+            'Content-Type': `multipart/mixed; boundary=${boundary}`,
+            'Accept': 'multipart/mixed',
+            'X-Requested-With': 'X'
+        },
+        data: body,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        timeout
+    });
+
+    return parseBatchResponse(response.data, response.headers['content-type']);
+}
+
+module.exports = { buildBatchBody, parseMultipart, parseHttpPart, parseBatchResponse, executeBatch };
@@ -0,0 +1,206 @@
+// odata-pagination.js - Reads all pages of an OData V2 entity set (?all=true) and streams them as NDJSON or JSON
+const cds = require('@sap/cds');
+const { translateError, sendError } = require('./errors');
+const { logger } = require('./logger');
+
+const LOG = logger('pagination');
+
+const DEFAULTS = { pageSize: 1000, maxRecords: 50000 };
+
+/**
+ * True for `?all=true` on a proxy GET route.
+ */
+const wantsAllPages = (req) => String(req.query?.all).toLowerCase() === 'true';
+
+/**
+ * NDJSON is chosen with `?format=ndjson` or `Accept: application/x-ndjson`, JSON otherwise.
+ */
+const wantsNdjson = (req) => String(req.query?.format).toLowerCase() === 'ndjson'
+    || /application\/(x-)?ndjson/i.test(req.headers?.accept || '');
+
+/**
+ * Sets X-Total-Count from the `__count` of an OData V2 response ($inlinecount=allpages).
+ * @param {object} res - Express response.
+ * @param {object} body - OData response body.
+ */
+function setTotalCountHeader(res, body) {
+    const count = body?.d?.__count ?? body?.['@odata.count'];
+    if (count !== undefined) res.setHeader('X-Total-Count', String(count));
+}
+
+/**
+ * "https://s4.example.com:443/sap/opu/odata/sap/SRV/Entity?$skiptoken=1000" → "/sap/opu/odata/sap/SRV/Entity?$skiptoken=1000".
+ * The next link points at the S/4 host; requests go through the destination, which supplies the host.
+ */
+function nextLinkPath(next, currentUrl) {
+    const resolved = new URL(next, new URL(currentUrl, 'http://s4'));
+    return `${resolved.pathname}${resolved.search}`;
+}
+
+/**
+ * Reads an entity set page by page. Pages are requested with $top/$skip; within a page S/4 may
+ * page on its own (server-driven paging), those `__next` links ($skiptoken) are followed as well.
+ * Reading stops when S/4 has no more records or after maxRecords.
+ *
+ *     const reader = new PagedReader(executeS4Request, '/sap/opu/odata/sap/ZAPI_COMPCODE_CDS/ZAPI_COMPCODE?$filter=…');
+ *     for await (const records of reader.pages()) { … }
+ */
+class PagedReader {
+    /**
+     * @param {(config: object) => Promise<object>} execute - Sends one GET to S/4, e.g. executeS4Request.
+     * @param {string} url - Entity set URL including $filter, $select, $orderby; without $top/$skip.
+     * @param {object} [options]
+     * @param {number} [options.pageSize] - $top per request, defaults to cds.pagination.pageSize.
+     * @param {number} [options.maxRecords] - Upper bound of records read, defaults to cds.pagination.maxRecords.
+     * @param {number} [options.skip=0] - Records to skip before the first page.
+     * @param {number} [options.timeout=120000] - Timeout per request in ms.
+     */
+    constructor(execute, url, { pageSize, maxRecords, skip = 0, timeout = 120000 } = {}) {
+        const config = { ...DEFAULTS, ...cds.env.pagination };
+        this.execute = execute;
+        this.url = url;
+        this.pageSize = Number(pageSize) || config.pageSize;
+        this.maxRecords = Math.min(Number(maxRecords) || config.maxRecords, config.maxRecords);
+        this.skip = Number(skip) || 0;
+        this.timeout = timeout;
+        this.total = undefined;   // __count of the first response
+        this.read = 0;
+        this.requests = 0;
+        this.truncated = false;   // true when maxRecords stopped reading
+    }
+
+    async fetchPage(url) {
+        this.requests++;
+        const response = await this.execute({ method: 'GET', url, headers: { Accept: 'application/json' }, timeout: this.timeout });
+        const body = response.data?.d || {};
+        if (this.total === undefined && body.__count !== undefined) {
+            this.total = Number(body.__count);
+        }
+        return {
+            results: body.results || response.data?.value || [],
+            next: body.__next || response.data?.['@odata.nextLink']
+        };
+    }
+
+    /**
+     * Yields the records page by page (one array per S/4 response).
+     */
+    async *pages() {
+        const separator = this.url.includes('?') ? '&' : '?';
+
+        for (let offset = this.skip; ; offset += this.pageSize) {
+            let pageUrl = `${this.url}${separator}$top=${this.pageSize}&$skip=${offset}`;
+            if (this.requests === 0) pageUrl += '&$inlinecount=allpages';
+            let readInWindow = 0;
+
+            while (pageUrl) {
+                const { results, next } = await this.fetchPage(pageUrl);
+                const remaining = this.maxRecords - this.read;
+                const records = results.length > remaining ? results.slice(0, remaining) : results;
+                this.read += records.length;
+                readInWindow += results.length;
+
+                if (records.length > 0) yield records;
+
+                if (this.read >= this.maxRecords) {
+                    this.truncated = results.length > remaining || Boolean(next) || readInWindow >= this.pageSize
+                        || (this.total !== undefined && this.total - this.skip > this.read);
+                    return;
+                }
+                pageUrl = next ? nextLinkPath(next, pageUrl) : undefined;
+            }
+
+            if (readInWindow < this.pageSize) return;
+        }
+    }
+
+    /**
+     * Reads all pages into one array (for lookups that aggregate the records).
+     * @returns {Promise<object[]>}
+     */
+    async readAll() {
+        const all = [];
+        for await (const records of this.pages()) all.push(...records);
+        if (this.truncated) {
+            LOG.warn(`${this.url.split('?')[0]} stopped at ${this.maxRecords} of ${this.total ?? 'more'} records`);
+        }
+        return all;
+    }
+}
+
+/**
+ * Resolves once the response can take more data (or the client went away).
+ */
+const drained = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Streams all pages of a PagedReader to the client:
+ * NDJSON (one record per line) or JSON in the OData V2 shape `{ "d": { "results": [...], "__count": "N" } }`.
+ *
+ * The first page is read before anything is sent, so a failing S/4 call still gets the common error
+ * envelope and X-Total-Count is known up front. An error on a later page can only be appended:
+ * a last `{"error": {...}}` line (NDJSON) or an `error` member next to `d` (JSON).
+ *
+ * @param {PagedReader} reader
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {string} entity - Entity set name for logs and error messages.
+ */
+async function streamAllPages(reader, req, res, entity) {
+    const ndjson = wantsNdjson(req);
+    const pages = reader.pages();
+
+    let page;
+    try {
+        page = await pages.next();
+    } catch (error) {
+        LOG.error(`${entity} first page failed:`, error.message);
+        return sendError(res, error, `Error fetching ${entity}`);
+    }
+
+    if (reader.total !== undefined) res.setHeader('X-Total-Count', String(reader.total));
+    if (reader.total !== undefined && reader.total - reader.skip > reader.maxRecords) {
+        res.setHeader('X-Result-Truncated', 'true');
+    }
+    res.status(200).type(ndjson ? 'application/x-ndjson' : 'application/json');
+    if (!ndjson) res.write('{"d":{"results":[');
+
+    let first = true;
+    let failure;
+    try {
+        while (!page.done && !res.destroyed) {
+            const records = page.value.map(record => JSON.stringify(record));
+            const chunk = ndjson ? `${records.join('\n')}\n` : `${first ? '' : ','}${records.join(',')}`;
+            first = false;
+            if (!res.write(chunk)) await drained(res);
+            page = await pages.next();
+        }
+    } catch (error) {
+        const { code, message } = translateError(error);
+        failure = { code, message };
+        LOG.error(`${entity} failed after ${reader.read} records:`, error.message);
+    }
+
+    if (res.destroyed) {
+        LOG.warn(`${entity} client disconnected after ${reader.read} records`);
+        return;
+    }
+
+    if (ndjson) {
+        res.end(failure ? `${JSON.stringify({ error: failure })}\n` : '');
+    } else {
+        const count = reader.total !== undefined ? `,"__count":"${reader.total}"` : '';
+        res.end(`]${count}}${failure ? `,"error":${JSON.stringify(failure)}` : ''}}`);
+    }
+    LOG.info(`${entity}: ${reader.read} records in ${reader.requests} request(s)${reader.truncated ? ` (stopped at maxRecords ${reader.maxRecords})` : ''}`);
+}
+
+module.exports = { PagedReader, streamAllPages, wantsAllPages, setTotalCountHeader };
@@ -0,0 +1,216 @@
+// odata-query.js - Injection-safe OData V2 query strings: typed literals and a field allowlist per entity
+
+// Filterable fields per entity set and their EDM type. A field that is not listed here
+// cannot be used in a filter built by the proxy.
+const ENTITY_FIELDS = {
+    FALSet: { Waers: 'string', Bukrs: 'string', Ekgrp: 'string', Netwr: 'decimal', Stepn: 'string' },
+    Z_SAP_SUBSTITUT: { smtp_addr_p: 'string', smtp_addr_r: 'string' },
+    ZAPI_PRPO: { prnum: 'string', ebeln: 'string' },
+    A_PurchaseOrder: { PurchaseOrder: 'string', CompanyCode: 'string', Supplier: 'string', PurchaseOrderDate: 'date' },
+    A_PurchaseOrderItem: { PurchaseOrder: 'string', PurchaseOrderItem: 'string' },
+    A_PurOrdScheduleLine: { PurchaseOrder: 'string', PurchaseOrderItem: 'string', ScheduleLine: 'string' },
+    A_PurOrdAccountAssignment: { PurchaseOrder: 'string', PurchaseOrderItem: 'string', AccountAssignmentNumber: 'string' },
+    A_PurOrdPricingElement: {
+        PurchaseOrder: 'string',
+        PurchaseOrderItem: 'string',
+        PricingDocument: 'string',
+        PricingDocumentItem: 'string',
+        PricingProcedureStep: 'string',
+        PricingProcedureCounter: 'string'
+    },
+    A_MaterialDocumentItem: { PurchaseOrder: 'string', PurchaseOrderItem: 'string', GoodsMovementType: 'string' },
+    CreateUrlAsAttachment: {
+        SemanticObject: 'string',
+        LinkedSAPObjectKey: 'string',
+        BusinessObjectTypeName: 'string',
+        Url: 'string',
+        UrlDescription: 'string',
+        MIMEType: 'string'
+    },
+    GetAllOriginals: { SemanticObject: 'string', LinkedSAPObjectKey: 'string', BusinessObjectTypeName: 'string' },
+    AttachmentSet: { Slug: 'string', BusinessPartner: 'string' },
+    AttachmentContentSet: {
+        DocumentInfoRecordDocType: 'string',
+        DocumentInfoRecordDocNumber: 'string',
+        DocumentInfoRecordDocVersion: 'string',
+        DocumentInfoRecordDocPart: 'string',
+        LogicalDocument: 'string',
+        ArchiveDocumentID: 'string',
+        LinkedSAPObjectKey: 'string',
+        BusinessObjectTypeName: 'string'
+    }
+};
+
+const OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+const IDENTIFIER = /^[A-Za-z_]\w*(\/[A-Za-z_]\w*)*$/;
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalidValue = (message) => Object.assign(new Error(message), { code: 'VALIDATION_FAILED' });
+
+/**
+ * Formats a value as an OData V2 literal of the given EDM type. Values that do not fit the
+ * type are rejected (code VALIDATION_FAILED) instead of being written into the query.
+ *
+ * @param {*} value
+ * @param {'string'|'decimal'|'int'|'boolean'|'date'|'guid'} type
+ * @returns {string} - e.g. 'O''Brien', 100.50M, datetime'2026-01-31T00:00:00', guid'…'
+ */
+function formatLiteral(value, type) {
+    switch (type) {
+        case 'string':
+            return `'${String(value).replace(/'/g, "''")}'`;
+        case 'decimal': {
+            const text = String(value).trim();
+            if (!/^-?\d+(\.\d+)?$/.test(text)) throw invalidValue(`'${value}' is not a decimal number`);
+            return `${text}M`;
+        }
+        case 'int': {
+            const text = String(value).trim();
+            if (!/^-?\d+$/.test(text)) throw invalidValue(`'${value}' is not an integer`);
+            return text;
+        }
+        case 'boolean':
+            if (![true, false, 'true', 'false'].includes(value)) throw invalidValue(`'${value}' is not a boolean`);
+            return String(value);
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date)) throw invalidValue(`'${value}' is not a date`);
+            return `datetime'${date.toISOString().slice(0, 19)}'`;
+        }
+        case 'guid':
+            if (!GUID.test(String(value))) throw invalidValue(`'${value}' is not a GUID`);
+            return `guid'${value}'`;
+        default:
+            throw new Error(`Unsupported OData literal type '${type}'`);
+    }
+}
+
+function fieldType(entitySet, field) {
+    const type = ENTITY_FIELDS[entitySet]?.[field];
+    if (!type) {
+        throw new Error(`Field '${field}' is not allowed for ${entitySet}`);
+    }
+    return type;
+}
+
+function checkIdentifiers(fields) {
+    for (const field of fields) {
+        if (!IDENTIFIER.test(field)) throw new Error(`Invalid OData property path '${field}'`);
+    }
+    return fields;
+}
+
+/**
+ * Builds the query string of a read on one entity set, e.g.
+ *
+ *     new ODataQuery('ZAPI_PRPO').where('prnum', payload.prnum).top(1).toString()
+ *     → "$filter=prnum%20eq%20'PR%20''1'''&$top=1"
+ *
+ * Conditions are joined with `and`; a condition whose value is undefined, null or '' is skipped,
+ * matching the optional filter fields of the BPA payloads.
+ */
+class ODataQuery {
+    constructor(entitySet) {
+        if (!ENTITY_FIELDS[entitySet]) {
+            throw new Error(`No field allowlist for entity set ${entitySet}`);
+        }
+        this.entitySet = entitySet;
+        this.conditions = [];
+        // Filter values by field, for log lines: the logger masks the fields of cds.log.redact by key,
+        // which it cannot do inside the query string
+        this.filterValues = {};
+        this.options = {};
+    }
+
+    /**
+     * @param {string} field - Must be in the entity's allowlist.
+     * @param {*} value - Formatted according to the field's type.
+     * @param {string} [operator] - eq (default), ne, gt, ge, lt, le.
+     */
+    where(field, value, operator = 'eq') {
+        if (!OPERATORS.includes(operator)) {
+            throw new Error(`Unsupported OData operator '${operator}'`);
+        }
+        const type = fieldType(this.entitySet, field);
+        if (value === undefined || value === null || value === '') return this;
+        this.conditions.push(`${field} ${operator} ${formatLiteral(value, type)}`);
+        this.filterValues[field] = value;
+        return this;
+    }
+
+    /** Property paths are static (not user input), they are only checked to be plain identifiers. */
+    select(...fields) {
+        this.options.$select = checkIdentifiers(fields.flat()).join(',');
+        return this;
+    }
+
+    expand(...navigations) {
+        this.options.$expand = checkIdentifiers(navigations.flat()).join(',');
+        return this;
+    }
+
+    orderBy(field, direction = 'asc') {
+        checkIdentifiers([field]);
+        if (!['asc', 'desc'].includes(direction)) throw new Error(`Invalid sort direction '${direction}'`);
+        this.options.$orderby = `${field} ${direction}`;
+        return this;
+    }
+
+    top(count) {
+        this.options.$top = formatLiteral(count, 'int');
+        return this;
+    }
+
+    skip(count) {
+        this.options.$skip = formatLiteral(count, 'int');
+        return this;
+    }
+
+    get filter() {
+        return this.conditions.join(' and ');
+    }
+
+    toString() {
+        const params = this.conditions.length > 0 ? [['$filter', this.filter]] : [];
+        params.push(...Object.entries(this.options));
+        return params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+    }
+}
+
+/**
+ * Builds an OData V2 function import call, e.g. "/…/CreateUrlAsAttachment?SemanticObject='PurchaseOrder'&…".
+ * Every parameter must be in the allowlist of the function import (see ENTITY_FIELDS).
+ *
+ * @param {string} servicePath - e.g. '/sap/opu/odata/sap/API_CV_ATTACHMENT_SRV'.
+ * @param {string} functionName - e.g. 'CreateUrlAsAttachment'.
+ * @param {object} params - Parameter values; undefined and null are left out.
+ * @returns {string}
+ */
+function functionImportUrl(servicePath, functionName, params) {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}=${encodeURIComponent(formatLiteral(value, fieldType(functionName, name)))}`)
+        .join('&');
+    return `${servicePath}/${functionName}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * URL of a single entity: a single key value or one value per key property, typed via ENTITY_FIELDS.
+ * e.g. entityUrl(path, 'A_PurchaseOrder', { PurchaseOrder: '4500000001' }) → "<path>/A_PurchaseOrder('4500000001')"
+ *
+ * @param {string} servicePath - e.g. '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV', '' for a URL relative to
+ *        the service root (operations of a $batch)
+ * @param {string} entitySet - Must be listed in ENTITY_FIELDS
+ * @param {object} keys - Key property → value, in key order
+ */
+function entityUrl(servicePath, entitySet, keys) {
+    const entries = Object.entries(keys);
+    const literal = ([name, value]) => encodeURIComponent(formatLiteral(value, fieldType(entitySet, name)));
+    const predicate = entries.length === 1
+        ? literal(entries[0])
+        : entries.map(entry => `${entry[0]}=${literal(entry)}`).join(',');
+    const path = `${entitySet}(${predicate})`;
+    return servicePath ? `${servicePath}/${path}` : path;
+}
+
+module.exports = { ENTITY_FIELDS, formatLiteral, ODataQuery, functionImportUrl, entityUrl };
@@ -0,0 +1,110 @@
+// po-item-sync.js - Matches BPA items against the current S/4 PO items for a diff-based update
+
+// PurchasingDocumentDeletionCode values
+const DELETION_CODE = 'L';
+const BLOCKED_CODE = 'S';
+
+/**
+ * Normalizes an S/4 item number ("10", "00010") to the 5 digit form.
+ * @returns {string|undefined}
+ */
+function normalizeItemNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    const digits = String(value).trim();
+    if (!/^\d{1,5}$/.test(digits)) {
+        throw Object.assign(new Error(`Invalid PurchaseOrderItem '${value}'`), { code: 'INVALID_ITEM_KEY' });
+    }
+    return digits.padStart(5, '0');
+}
+
+const isDeleted = (item) => item.PurchasingDocumentDeletionCode === DELETION_CODE;
+
+/**
+ * Compares two OData V2 values. Numbers are compared numerically ("10" equals "10.000"),
+ * everything else as strings with null/undefined treated as "".
+ */
+function sameValue(current, desired) {
+    const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(value));
+    if (isNumeric(current) && isNumeric(desired)) {
+        return Number(current) === Number(desired);
+    }
+    return String(current ?? '') === String(desired ?? '');
+}
+
+/**
+ * @param {object} current - Current S/4 record.
+ * @param {object} desired - Fields the update would send.
+ * @returns {object} - Only the desired fields whose value differs from S/4.
+ */
+function changedFields(current = {}, desired = {}) {
+    return Object.fromEntries(
+        Object.entries(desired).filter(([field, value]) => !sameValue(current[field], value))
+    );
+}
+
+/**
+ * Matches the BPA items against the current PO items.
+ *
+ * Items are matched by `PurchaseOrderItem` (the S/4 item number the UI received when the PO was created).
+ * Payloads without any item key (older BPA versions) fall back to the position: item n ↔ PO item n×10.
+ * Items without a match are created, active PO items without a match are marked deleted.
+ *
+ * Position is not a stable key: a payload that dropped or reordered a line would overwrite the wrong
+ * PO items. Without keys nothing is removed, and an active PO item without a positional match is an error.
+ *
+ * @param {object[]} inputItems - prRequisitionInputs.Item
+ * @param {object[]} currentItems - Current A_PurchaseOrderItem records (incl. deleted ones).
+ * @returns {{matched: object[], created: object[], removed: object[], errors: string[], keyed: boolean}}
+ *          matched: { index, input, current }, created: { index, input, itemNumber }, removed: current records
+ */
+function matchPurchaseOrderItems(inputItems = [], currentItems = []) {
+    const keyed = inputItems.some(item => normalizeItemNumber(item.PurchaseOrderItem));
+    const active = new Map(currentItems.filter(item => !isDeleted(item))
+        .map(item => [normalizeItemNumber(item.PurchaseOrderItem), item]));
+
+    let lastNumber = Math.max(0, ...currentItems.map(item => Number(item.PurchaseOrderItem)));
+    const nextItemNumber = () => {
+        lastNumber = (Math.floor(lastNumber / 10) + 1) * 10;
+        return String(lastNumber).padStart(5, '0');
+    };
+
+    const result = { matched: [], created: [], removed: [], errors: [], keyed };
+    const seen = new Set();
+
+    inputItems.forEach((input, index) => {
+        const key = keyed
+            ? normalizeItemNumber(input.PurchaseOrderItem)
+            : String((index + 1) * 10).padStart(5, '0');
+
+        if (keyed && !key) {
+            result.created.push({ index, input });
+            return;
+        }
+        if (seen.has(key)) {
+            result.errors.push(`Item[${index}]: PurchaseOrderItem ${key} is used more than once`);
+            return;
+        }
+        seen.add(key);
+
+        if (active.has(key)) {
+            result.matched.push({ index, input, current: active.get(key) });
+        } else if (keyed) {
+            result.errors.push(`Item[${index}]: PurchaseOrderItem ${key} does not exist or is deleted on the purchase order`);
+        } else {
+            result.created.push({ index, input });
+        }
+    });
+
+    // Numbers for new lines are assigned after all existing keys are known
+    result.created.forEach(entry => { entry.itemNumber = nextItemNumber(); });
+    const unmatched = [...active.entries()].filter(([key]) => !seen.has(key));
+    if (keyed) {
+        result.removed = unmatched.map(([, item]) => item);
+    } else {
+        result.errors.push(...unmatched.map(([key]) => `PO item ${key} has no item at its position in the payload; `
+            + 'send PurchaseOrderItem with every item to remove or reorder lines'));
+    }
+    return result;
+}
+
+module.exports = { DELETION_CODE, BLOCKED_CODE, normalizeItemNumber, changedFields, matchPurchaseOrderItems };
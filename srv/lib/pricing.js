@@ -0,0 +1,131 @@
+// pricing.js - Single source of truth for PR/PO line pricing and discounts
+const Big = require('big.js');
+
+/**
+ * Converts an input amount to Big. Empty values count as 0, anything else
+ * that is not a number raises an error flagged with code INVALID_AMOUNT.
+ */
+function toBig(value, fieldName) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return Big(0);
+    }
+    try {
+        return Big(String(value).trim());
+    } catch {
+        const error = new Error(`${fieldName} '${value}' is not a valid number`);
+        error.code = 'INVALID_AMOUNT';
+        throw error;
+    }
+}
+
+/**
+ * First of the values that is filled in. BPA sends empty form fields as "", which
+ * must not hide the other spelling of the field.
+ */
+function firstFilled(...values) {
+    return values.find(value => value !== undefined && value !== null && String(value).trim() !== '');
+}
+
+const money = (value) => value.round(2, Big.roundHalfUp).toFixed(2);
+
+/**
+ * Calculates the per-line and header pricing for context.prRequisitionInputs.
+ *
+ * Rules (in this order):
+ * - base           = UnitPrice × Quantity
+ * - item discount  = Discount % of base, otherwise DiscountAmt
+ * - lumpsum share  = LumpsumDiscountAmt split pro rata over the lines (after item discount),
+ *                    otherwise LumpsumDiscount % of the line after item discount
+ * - net            = base − item discount − lumpsum share, truncated to 2 decimals
+ *
+ * `lumpsumDiscount` / `lumpsumDiscountAmt` (lower case) are accepted for older BPA payloads; an empty
+ * field counts as not sent.
+ *
+ * @param {object} inputs - prRequisitionInputs with Item[].
+ * @returns {{lines: object[], header: object}} - Amounts as strings with 2 decimals.
+ */
+function calculatePricing(inputs = {}) {
+    const items = Array.isArray(inputs.Item) ? inputs.Item : [];
+    const lumpsumPerc = toBig(firstFilled(inputs.LumpsumDiscount, inputs.lumpsumDiscount), 'LumpsumDiscount');
+    const lumpsumAmt = toBig(firstFilled(inputs.LumpsumDiscountAmt, inputs.lumpsumDiscountAmt), 'LumpsumDiscountAmt');
+
+    // -------- ITEM LEVEL --------
+    const lines = items.map((item, index) => {
+        const path = `Item[${index}]`;
+        const unitPrice = toBig(item.UnitPrice, `${path}.UnitPrice`);
+        const quantity = toBig(item.Quantity, `${path}.Quantity`);
+        const discountPerc = toBig(item.Discount, `${path}.Discount`);
+        const discountAmt = toBig(item.DiscountAmt, `${path}.DiscountAmt`);
+
+        const base = unitPrice.times(quantity);
+        let itemDiscount = Big(0);
+        if (discountPerc.gt(0)) {
+            itemDiscount = base.times(discountPerc).div(100);
+        } else if (discountAmt.gt(0)) {
+            itemDiscount = discountAmt;
+        }
+
+        return {
+            itemNumber: String((index + 1) * 10).padStart(5, '0'),
+            base,
+            itemDiscount,
+            afterItem: base.minus(itemDiscount),
+            lumpsumShare: Big(0)
+        };
+    });
+
+    // -------- HEADER (LUMPSUM) LEVEL --------
+    if (lumpsumAmt.gt(0)) {
+        const total = lines.reduce((sum, line) => sum.plus(line.afterItem), Big(0));
+        if (total.gt(0)) {
+            let allocated = Big(0);
+            lines.forEach((line, index) => {
+                if (index === lines.length - 1) {
+                    line.lumpsumShare = lumpsumAmt.minus(allocated); // remainder keeps the total exact
+                } else {
+                    line.lumpsumShare = lumpsumAmt.times(line.afterItem).div(total).round(2, Big.roundHalfUp);
+                    allocated = allocated.plus(line.lumpsumShare);
+                }
+            });
+        }
+    } else if (lumpsumPerc.gt(0)) {
+        lines.forEach(line => {
+            line.lumpsumShare = line.afterItem.times(lumpsumPerc).div(100);
+        });
+    }
+
+    lines.forEach(line => {
+        line.net = line.afterItem.minus(line.lumpsumShare).round(2, Big.roundDown);
+    });
+
+    const sum = (field) => lines.reduce((total, line) => total.plus(line[field]), Big(0));
+
+    return {
+        lines: lines.map(line => ({
+            itemNumber: line.itemNumber,
+            base: money(line.base),
+            itemDiscount: money(line.itemDiscount),
+            lumpsumShare: money(line.lumpsumShare),
+            net: line.net.toFixed(2)
+        })),
+        header: {
+            base: money(sum('base')),
+            itemDiscount: money(sum('itemDiscount')),
+            lumpsumDiscount: money(sum('lumpsumShare')),
+            net: sum('net').toFixed(2)
+        }
+    };
+}
+
+/**
+ * Sums S/4 NetPriceAmount values of PO items.
+ * @param {object[]} poItems
+ * @returns {string} - 2 decimals.
+ */
+function sumNetPriceAmounts(poItems = []) {
+    return poItems
+        .reduce((total, item, index) => total.plus(toBig(item.NetPriceAmount, `PurchaseOrderItem[${index}].NetPriceAmount`)), Big(0))
+        .toFixed(2);
+}
+
+module.exports = { calculatePricing, sumNetPriceAmounts };
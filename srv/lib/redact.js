@@ -0,0 +1,30 @@
+// redact.js - Masks secrets before payloads are stored or logged
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|credential/i;
+const MASK = '***';
+
+/**
+ * Returns a deep copy of `value` with sensitive keys masked and Buffers replaced by their size.
+ * @param {*} value
+ * @param {string[]} [extraKeys] - Additional (case-insensitive) keys to mask, e.g. PII fields.
+ * @returns {*}
+ */
+function redact(value, extraKeys = []) {
+    const extra = new Set(extraKeys.map(key => key.toLowerCase()));
+    const seen = new WeakSet();
+
+    const walk = (node) => {
+        if (Buffer.isBuffer(node)) return `<${node.length} bytes>`;
+        if (node === null || typeof node !== 'object') return node;
+        if (seen.has(node)) return '[Circular]';
+        seen.add(node);
+
+        if (Array.isArray(node)) return node.map(walk);
+        return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+            key,
+            SENSITIVE_KEY.test(key) || extra.has(key.toLowerCase()) ? MASK : walk(child)
+        ]));
+    };
+    return walk(value);
+}
+
+module.exports = { redact };
@@ -0,0 +1,32 @@
+// request-context.js - Per-request state that follows the async call chain of a route
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Accepted correlation ids: UUIDs, SAP style 32 hex characters, other printable ids up to 64 characters
+const CORRELATION_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Express middleware opening a request context. Everything the route awaits
+ * (e.g. executeS4Request) can reach it through getRequestContext().
+ *
+ * The correlation id is taken from x-correlation-id (or generated), returned as X-Correlation-ID
+ * and handed on to CAP, so cds.context.id is the same id.
+ */
+function requestContextMiddleware(req, res, next) {
+    const received = req.headers['x-correlation-id'];
+    const correlationId = CORRELATION_ID.test(received || '') ? received : crypto.randomUUID();
+    req.headers['x-correlation-id'] = correlationId;
+    res.setHeader('X-Correlation-ID', correlationId);
+    storage.run({ s4Status: undefined, correlationId }, next);
+}
+
+/**
+ * @returns {object|undefined} - The current request context, if any.
+ */
+function getRequestContext() {
+    return storage.getStore();
+}
+
+module.exports = { requestContextMiddleware, getRequestContext };
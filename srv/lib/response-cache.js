@@ -0,0 +1,156 @@
+// response-cache.js - TTL cache for reference-data (value help) proxy routes
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const { wantsAllPages, setTotalCountHeader } = require('./odata-pagination');
+const { getRequestContext } = require('./request-context');
+
+// Query aliases understood by fetchFromS4, mapped to one canonical name each
+const QUERY_ALIASES = {
+    filter: ['filter', '$filter'],
+    top: ['top', 'limit'],
+    skip: ['skip', '$skip'],
+    select: ['select', '$select'],
+    orderby: ['orderby', '$orderby'],
+    inlinecount: ['inlinecount', '$inlinecount']
+};
+
+/**
+ * Builds a cache key from the OData options of a request, so that e.g.
+ * `?$filter=Bukrs eq 'ZB01'` and `?filter=Bukrs  eq 'ZB01'` share one entry.
+ * @param {object} query - req.query
+ * @returns {string}
+ */
+function normalizeODataQuery(query = {}) {
+    return Object.entries(QUERY_ALIASES)
+        .map(([name, aliases]) => {
+            const value = aliases.map(alias => query[alias]).find(v => v !== undefined && v !== '');
+            return value === undefined ? null : `${name}=${String(value).trim().replace(/\s+/g, ' ')}`;
+        })
+        .filter(Boolean)
+        .join('&');
+}
+
+class ResponseCache {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.routes] - Route name → TTL in seconds. Only these routes are cached.
+     * @param {number} [options.maxEntriesPerRoute] - Oldest entries are evicted beyond this.
+     */
+    constructor({ routes = {}, maxEntriesPerRoute = 200 } = {}) {
+        this.ttls = new Map(Object.entries(routes));
+        this.maxEntriesPerRoute = maxEntriesPerRoute;
+        this.entries = new Map(); // route → Map(key → { body, etag, expiresAt })
+        this.stats = new Map();   // route → { hits, misses }
+    }
+
+    isCached(route) {
+        return this.ttls.get(route) > 0;
+    }
+
+    get(route, key) {
+        const entry = this.entries.get(route)?.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.get(route).delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    set(route, key, body) {
+        if (!this.entries.has(route)) this.entries.set(route, new Map());
+        const routeEntries = this.entries.get(route);
+
+        const entry = {
+            body,
+            etag: `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`,
+            expiresAt: Date.now() + this.ttls.get(route) * 1000
+        };
+        routeEntries.delete(key);
+        routeEntries.set(key, entry);
+        if (routeEntries.size > this.maxEntriesPerRoute) {
+            routeEntries.delete(routeEntries.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * Drops the cached responses of one route, or of all routes.
+     * @param {string} [route]
+     * @returns {number} - Number of removed entries.
+     */
+    invalidate(route) {
+        const routes = route ? [route] : [...this.entries.keys()];
+        return routes.reduce((removed, name) => {
+            const size = this.entries.get(name)?.size || 0;
+            this.entries.delete(name);
+            return removed + size;
+        }, 0);
+    }
+
+    count(route, outcome) {
+        if (!this.stats.has(route)) this.stats.set(route, { hits: 0, misses: 0 });
+        this.stats.get(route)[outcome]++;
+    }
+
+    describe() {
+        return [...this.ttls.entries()].map(([route, ttl]) => ({
+            route,
+            ttlSeconds: ttl,
+            entries: this.entries.get(route)?.size || 0,
+            ...(this.stats.get(route) || { hits: 0, misses: 0 })
+        }));
+    }
+}
+
+const referenceCache = new ResponseCache(cds.env.referenceCache);
+
+/**
+ * Express middleware serving a reference-data GET route from the cache.
+ * Successful JSON responses are stored; every response carries an ETag and
+ * `If-None-Match` is answered with 304. Routes without a configured TTL, `?all=true`
+ * requests and requests for another S/4 system (X-S4-System) pass through.
+ *
+ * @param {string} route - Route name as configured in cds.referenceCache.routes, e.g. 'getcompanycode'.
+ * @param {ResponseCache} [cache]
+ */
+function cacheMiddleware(route, cache = referenceCache) {
+    return (req, res, next) => {
+        // ?all=true streams straight from S/4 (odata-pagination.js); the cache holds the default system only
+        if (!cache.isCached(route) || wantsAllPages(req) || getRequestContext()?.requestedSystem) return next();
+
+        const key = normalizeODataQuery(req.query);
+        const send = (entry, outcome) => {
+            const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+            res.setHeader('ETag', entry.etag);
+            res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+            res.setHeader('X-Cache', outcome);
+        };
+
+        const cached = cache.get(route, key);
+        if (cached) {
+            cache.count(route, 'hits');
+            send(cached, 'HIT');
+            setTotalCountHeader(res, cached.body);
+            if (req.headers['if-none-match'] === cached.etag) {
+                return res.status(304).end();
+            }
+            return res.status(200).json(cached.body);
+        }
+
+        cache.count(route, 'misses');
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode === 200) {
+                const entry = cache.set(route, key, body);
+                send(entry, 'MISS');
+                if (req.headers['if-none-match'] === entry.etag) {
+                    return res.status(304).end();
+                }
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+module.exports = { ResponseCache, referenceCache, cacheMiddleware, normalizeODataQuery };
@@ -0,0 +1,239 @@
+// s4-resilience.js - Circuit breaker and bulkhead per service and destination, as Cloud SDK http-client middleware
+const cds = require('@sap/cds');
+const { registerGauge, s4TimingMiddleware } = require('./metrics');
+const { logger, correlationHeaderMiddleware } = require('./logger');
+const { csrfSessionMiddleware } = require('./s4-session');
+
+const LOG = logger('circuit');
+
+const DEFAULTS = {
+    failureThreshold: 5,     // consecutive failures that open the circuit
+    resetTimeout: 30000,     // ms the circuit stays open before a probe request is let through
+    maxConcurrent: 5,        // parallel S/4 calls per service and destination
+    maxQueued: 50,           // calls waiting for a slot, more are rejected
+    maxQueueWait: 30000      // ms a call may wait for a slot
+};
+
+const unavailable = (code, message, retryAfter) => Object.assign(new Error(message), { code, retryAfter });
+
+/**
+ * Failures that say something about the health of the system: no response (network error, timeout)
+ * or a 5xx. 4xx answers are business or request errors and leave the circuit alone.
+ */
+function isSystemFailure(error) {
+    const status = error?.response?.status ?? error?.cause?.response?.status;
+    return status === undefined || status >= 500;
+}
+
+/**
+ * closed → (failureThreshold consecutive failures) → open → (resetTimeout) → half-open.
+ * In half-open one probe request is let through: success closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+    constructor(key, { failureThreshold, resetTimeout }) {
+        this.key = key;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = undefined;
+        this.probeInFlight = false;
+        this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+    }
+
+    /**
+     * Throws S4_CIRCUIT_OPEN unless the call may go to S/4.
+     * @returns {boolean} - true if the call is the half-open probe.
+     */
+    acquire() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.transition('half-open');
+        }
+        if (this.state === 'closed') return false;
+        if (this.state === 'half-open' && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        this.stats.rejected++;
+        const retryAfter = Math.max(1, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+        throw unavailable('S4_CIRCUIT_OPEN', `Calls to ${this.key} are suspended after ${this.consecutiveFailures} consecutive failures, retry in ${retryAfter}s.`, retryAfter);
+    }
+
+    success(probe) {
+        this.stats.successes++;
+        this.consecutiveFailures = 0;
+        if (probe) this.probeInFlight = false;
+        if (this.state !== 'closed') this.transition('closed');
+    }
+
+    failure(error, probe) {
+        if (probe) this.probeInFlight = false;
+        // Rejected by the bulkhead: the call never reached S/4
+        if (error?.code === 'S4_BULKHEAD_FULL') return;
+        if (!isSystemFailure(error)) {
+            // S/4 answered, so it is up
+            return this.success(false);
+        }
+        this.stats.failures++;
+        this.consecutiveFailures++;
+        // Calls started before the circuit opened do not extend the open period
+        if (this.state === 'open') return;
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.stats.opened++;
+            this.transition('open');
+        }
+    }
+
+    transition(state) {
+        LOG.warn(`${this.key}: ${this.state} → ${state}${state === 'open' ? ` (${this.consecutiveFailures} consecutive failures)` : ''}`);
+        this.state = state;
+    }
+
+    describe() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt && this.state !== 'closed' ? new Date(this.openedAt).toISOString() : null,
+            nextProbeAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+            ...this.stats
+        };
+    }
+}
+
+/**
+ * Limits parallel calls; waiting calls are bounded in number and waiting time (S4_BULKHEAD_FULL).
+ */
+class Bulkhead {
+    constructor(key, { maxConcurrent, maxQueued, maxQueueWait }) {
+        this.key = key;
+        this.maxConcurrent = maxConcurrent;
+        this.maxQueued = maxQueued;
+        this.maxQueueWait = maxQueueWait;
+        this.running = 0;
+        this.queue = [];
+        this.rejected = 0;
+    }
+
+    async add(fn) {
+        while (this.running >= this.maxConcurrent) {
+            await this.waitForSlot();
+        }
+        this.running++;
+
+        try {
+            return await fn();
+        } finally {
+            this.running--;
+            const next = this.queue.shift();
+            if (next) next.resolve();
+        }
+    }
+
+    waitForSlot() {
+        if (this.queue.length >= this.maxQueued) {
+            this.rejected++;
+            throw unavailable('S4_BULKHEAD_FULL', `${this.queue.length} calls to ${this.key} are already waiting.`, 1);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => {
+                    clearTimeout(waiter.timer);
+                    resolve();
+                },
+                timer: setTimeout(() => {
+                    this.queue.splice(this.queue.indexOf(waiter), 1);
+                    this.rejected++;
+                    reject(unavailable('S4_BULKHEAD_FULL', `No free slot for ${this.key} within ${this.maxQueueWait / 1000}s.`, 1));
+                }, this.maxQueueWait)
+            };
+            this.queue.push(waiter);
+        });
+    }
+
+    describe() {
+        return {
+            running: this.running,
+            queued: this.queue.length,
+            maxConcurrent: this.maxConcurrent,
+            maxQueued: this.maxQueued,
+            rejected: this.rejected
+        };
+    }
+}
+
+const guards = new Map(); // "<service>|<destination>" → { service, destination, breaker, bulkhead }
+
+function guardFor(service, destination) {
+    const key = `${service}|${destination}`;
+    if (!guards.has(key)) {
+        const options = { ...DEFAULTS, ...cds.env.s4Resilience };
+        const name = `${destination} (${service})`;
+        guards.set(key, {
+            service,
+            destination,
+            breaker: new CircuitBreaker(name, options),
+            bulkhead: new Bulkhead(name, options)
+        });
+    }
+    return guards.get(key);
+}
+
+/**
+ * The http-client middleware (see @sap-cloud-sdk/resilience) guarding calls of one service to one
+ * destination: circuit breaker first, so an open circuit fails fast without queueing, then the bulkhead,
+ * the latency metric, the correlation id header and the CSRF session of the destination (see s4-session.js).
+ *
+ *     executeHttpRequest({ destinationName }, { ...config, middleware: s4Middleware('ProxyService', destinationName) }, { fetchCsrfToken: false })
+ *
+ * @param {string} service - CAP service name, e.g. 'ProxyService'.
+ * @param {string} destination - Destination name.
+ * @returns {import('@sap-cloud-sdk/resilience').Middleware[]}
+ */
+function s4Middleware(service, destination) {
+    const { breaker, bulkhead } = guardFor(service, destination);
+    const circuitBreaker = ({ fn }) => async (request) => {
+        const probe = breaker.acquire();
+        try {
+            const response = await fn(request);
+            breaker.success(probe);
+            return response;
+        } catch (error) {
+            breaker.failure(error, probe);
+            throw error;
+        }
+    };
+    const bulkheadMiddleware = ({ fn }) => (request) => bulkhead.add(() => fn(request));
+    return [
+        circuitBreaker,
+        bulkheadMiddleware,
+        s4TimingMiddleware(service, destination),
+        correlationHeaderMiddleware(),
+        csrfSessionMiddleware(destination)
+    ];
+}
+
+/**
+ * State of every circuit breaker and bulkhead created so far.
+ * @returns {object[]}
+ */
+function describeS4Guards() {
+    return [...guards.values()].map(({ service, destination, breaker, bulkhead }) => ({
+        service,
+        destination,
+        circuit: breaker.describe(),
+        bulkhead: bulkhead.describe()
+    }));
+}
+
+const guardGauge = (name, help, value) => registerGauge(
+    { name, help, labelNames: ['service', 'destination'] },
+    () => [...guards.values()].map(guard => ({ labels: { service: guard.service, destination: guard.destination }, value: value(guard) }))
+);
+guardGauge('proxy_s4_bulkhead_running', 'S/4 calls in flight', guard => guard.bulkhead.running);
+guardGauge('proxy_s4_bulkhead_queued', 'S/4 calls waiting for a bulkhead slot', guard => guard.bulkhead.queue.length);
+guardGauge('proxy_s4_circuit_open', '1 while the circuit is open or half-open', guard => (guard.breaker.state === 'closed' ? 0 : 1));
+
+module.exports = { CircuitBreaker, Bulkhead, s4Middleware, describeS4Guards };
@@ -0,0 +1,202 @@
+// s4-session.js - CSRF token and session cookies per S/4 destination, as Cloud SDK http-client middleware
+const cds = require('@sap/cds');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+const LOG = logger('csrf');
+
+const DEFAULTS = {
+    tokenTtl: 300000   // ms a token is reused before the next write fetches a new one
+};
+
+const READ_METHODS = ['get', 'head', 'options'];
+
+/**
+ * "/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder('4500000001')" → "/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV".
+ * Tokens are fetched from the service root of the write.
+ */
+function serviceRoot(url) {
+    const path = String(url || '/').split('?')[0];
+    const match = path.match(/^\/sap\/opu\/odata\/[^/]+\/[^/(]+/);
+    return match ? match[0] : path;
+}
+
+/**
+ * True for the 403 S/4 answers with "x-csrf-token: Required": the token expired or belongs to another session.
+ */
+function isCsrfRejection(error) {
+    const response = error?.response;
+    return response?.status === 403 && String(response.headers?.['x-csrf-token']).toLowerCase() === 'required';
+}
+
+/**
+ * Copy of the headers without the ones named (case-insensitive).
+ */
+function withoutHeaders(headers = {}, names) {
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase())));
+}
+
+/**
+ * Session of one destination: the cookie jar (SAP_SESSIONID_<SID>_<client>, sap-usercontext, ...) and the CSRF
+ * token per service root. A token is fetched on the first write to a service; parallel writes share one fetch.
+ * The destinations log on with a technical user, so all requests share the session.
+ */
+class S4Session {
+    constructor(destination, { tokenTtl }) {
+        this.destination = destination;
+        this.tokenTtl = tokenTtl;
+        this.cookies = new Map();   // name → value
+        this.tokens = new Map();    // service root → { value, fetchedAt }
+        this.pending = new Map();   // service root → token fetch in flight
+    }
+
+    /**
+     * Takes the Set-Cookie headers of a response into the jar; expired cookies are removed.
+     * @param {object} headers - Response headers.
+     */
+    storeCookies(headers) {
+        for (const cookie of [].concat(headers?.['set-cookie'] || [])) {
+            const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+            const separator = pair.indexOf('=');
+            if (separator < 1) continue;
+
+            const name = pair.slice(0, separator);
+            const expired = attributes.some(attribute => /^max-age=0$/i.test(attribute)
+                || (/^expires=/i.test(attribute) && Date.parse(attribute.slice(8)) < Date.now()));
+            if (expired) this.cookies.delete(name);
+            else this.cookies.set(name, pair.slice(separator + 1));
+        }
+    }
+
+    /**
+     * @returns {string|undefined} - Cookie request header of the session.
+     */
+    cookieHeader() {
+        if (this.cookies.size === 0) return undefined;
+        return [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    /**
+     * CSRF token for writes to a service root: the cached one or, if there is none or it is older
+     * than tokenTtl, a new one from `fetch`.
+     * @param {string} root - Service root, see serviceRoot().
+     * @param {() => Promise<object>} fetch - Sends the token request (X-CSRF-Token: Fetch) and returns the response.
+     * @returns {Promise<string>}
+     */
+    async token(root, fetch) {
+        const cached = this.tokens.get(root);
+        if (cached && Date.now() - cached.fetchedAt < this.tokenTtl) {
+            metrics.csrfCache.inc({ result: 'hit' });
+            return cached.value;
+        }
+
+        // Writes arriving while the token is fetched wait for the same fetch
+        if (this.pending.has(root)) {
+            metrics.csrfCache.inc({ result: 'hit' });
+            return this.pending.get(root);
+        }
+        metrics.csrfCache.inc({ result: 'miss' });
+
+        const pending = this.fetchToken(root, fetch).finally(() => this.pending.delete(root));
+        this.pending.set(root, pending);
+        return pending;
+    }
+
+    async fetchToken(root, fetch) {
+        const response = await fetch();
+        this.storeCookies(response.headers);
+
+        const value = response.headers?.['x-csrf-token'];
+        if (!value || String(value).toLowerCase() === 'required') {
+            throw Object.assign(new Error(`S/4 returned no CSRF token for ${root}`), { code: 'S4_CSRF_TOKEN_INVALID' });
+        }
+        this.tokens.set(root, { value, fetchedAt: Date.now() });
+        LOG.debug(`CSRF token fetched for ${root} (${this.destination})`);
+        return value;
+    }
+
+    /**
+     * Forgets a rejected token. A rejection usually means the S/4 session ended, so the session cookies and the
+     * tokens of the other services go as well. A token fetched by a parallel write in the meantime is kept.
+     * @param {string} root - Service root the token was used for.
+     * @param {string} rejected - The rejected token.
+     */
+    invalidate(root, rejected) {
+        if (this.tokens.get(root)?.value !== rejected) return;
+        this.tokens.clear();
+        this.cookies.clear();
+    }
+}
+
+const sessions = new Map(); // destination name → S4Session
+
+function sessionFor(destination) {
+    if (!sessions.has(destination)) {
+        sessions.set(destination, new S4Session(destination, { ...DEFAULTS, ...cds.env.s4Session }));
+    }
+    return sessions.get(destination);
+}
+
+/**
+ * http-client middleware handling CSRF for writes (POST, PUT, PATCH, MERGE, DELETE) to a destination:
+ * sends the session's token and cookies, fetches a token when there is none, and on a CSRF 403 fetches
+ * a new token and repeats the write once. Reads pass through unchanged.
+ *
+ * `data` may be a function returning the body, e.g. a file stream: it is called per attempt, so a
+ * streamed write can be repeated as well.
+ *
+ * Part of s4Middleware(), so the request is sent with `{ fetchCsrfToken: false }`.
+ *
+ * @param {string} destination - Destination name.
+ * @returns {import('@sap-cloud-sdk/resilience').Middleware}
+ */
+function csrfSessionMiddleware(destination) {
+    const session = sessionFor(destination);
+
+    return ({ fn }) => async (request) => {
+        if (READ_METHODS.includes(String(request.method || 'get').toLowerCase())) {
+            return fn(request);
+        }
+
+        const root = serviceRoot(request.url);
+        const headers = withoutHeaders(request.headers, ['x-csrf-token', 'cookie']);
+        const withSession = (extra) => {
+            const cookie = session.cookieHeader();
+            return { ...headers, ...extra, ...(cookie && { cookie }) };
+        };
+        const fetch = () => fn({
+            ...request,
+            data: undefined,
+            method: 'head',
+            url: `${root}/`,
+            headers: withSession({ 'x-csrf-token': 'Fetch', 'content-length': 0 })
+        });
+
+        const send = async (token) => {
+            const data = typeof request.data === 'function' ? request.data() : request.data;
+            try {
+                const response = await fn({ ...request, data, headers: withSession({ 'x-csrf-token': token }) });
+                session.storeCookies(response.headers);
+                return response;
+            } finally {
+                // A stream S/4 did not read (e.g. connection refused) would keep its file open
+                if (data !== request.data) data?.destroy?.();
+            }
+        };
+
+        const token = await session.token(root, fetch);
+        try {
+            return await send(token);
+        } catch (error) {
+            if (!isCsrfRejection(error)) throw error;
+
+            // A second rejection reaches the caller (S4_CSRF_TOKEN_INVALID, see lib/errors.js)
+            LOG.warn(`CSRF token for ${root} rejected by ${destination}, repeating the ${request.method.toUpperCase()} with a new token`);
+            metrics.csrfCache.inc({ result: 'rejected' });
+            session.invalidate(root, token);
+            return send(await session.token(root, fetch));
+        }
+    };
+}
+
+module.exports = { S4Session, csrfSessionMiddleware, serviceRoot, isCsrfRejection };
@@ -0,0 +1,101 @@
+// s4-systems.js - Registry of the S/4 systems (destinations) each service calls, configured per cds profile
+const cds = require('@sap/cds');
+const { getRequestContext } = require('./request-context');
+const { logger } = require('./logger');
+
+const LOG = logger('s4-systems');
+
+const OVERRIDE_HEADER = 'x-s4-system';
+
+const systemError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * cds.s4Systems: { systems: { QAS: { destination: 'S4-API-QAS' }, … }, default: 'QAS', services: { ApprovalService: 'TEST' } }
+ * @returns {{systems: object, default: string, services: object}}
+ */
+function config() {
+    const { systems = {}, services = {}, default: defaultSystem } = cds.env.s4Systems || {};
+    return { systems, services, default: defaultSystem };
+}
+
+/**
+ * The system a service calls when the request does not override it.
+ * @param {string} service - CAP service name, e.g. 'ProxyService'.
+ * @returns {string} - System id, e.g. 'QAS'.
+ */
+function configuredSystem(service) {
+    const { services, default: defaultSystem } = config();
+    return services[service] || defaultSystem;
+}
+
+/**
+ * Admins may send the request to another configured system with the X-S4-System header:
+ * API clients with scope 'admin' (basic auth routes) or users with role Admin (CAP services).
+ */
+function overrideAllowed(context) {
+    return Boolean(context?.apiClient?.scopes?.includes('admin') || cds.context?.user?.is?.('Admin'));
+}
+
+/**
+ * Resolves the destination of an S/4 call for the current request.
+ *
+ * @param {string} service - CAP service name, e.g. 'ProxyService'.
+ * @returns {{system: string, destinationName: string}}
+ * @throws {Error} ACCESS_DENIED for an override without admin rights, VALIDATION_FAILED for an unknown system.
+ */
+function resolveS4Destination(service) {
+    const { systems } = config();
+    const context = getRequestContext();
+    const requested = context?.requestedSystem;
+
+    if (requested && !overrideAllowed(context)) {
+        throw systemError('ACCESS_DENIED', `Only admins may select the S/4 system (${OVERRIDE_HEADER}: ${requested}).`);
+    }
+
+    const system = requested || configuredSystem(service);
+    const destinationName = systems[system]?.destination;
+    if (!destinationName) {
+        throw systemError(requested ? 'VALIDATION_FAILED' : 'INTERNAL_ERROR',
+            `S/4 system '${system}' is not configured, expected one of: ${Object.keys(systems).join(', ')}`);
+    }
+    return { system, destinationName };
+}
+
+/**
+ * Express middleware recording the X-S4-System header in the request context (see requestContextMiddleware).
+ * The header is authorized when the first S/4 call resolves its destination.
+ */
+function s4SystemMiddleware(req, res, next) {
+    const requested = req.headers[OVERRIDE_HEADER];
+    const context = getRequestContext();
+    if (requested && context) {
+        context.requestedSystem = String(requested).trim().toUpperCase();
+    }
+    next();
+}
+
+/**
+ * Destination names of all configured systems (the local S/4 mock registers itself for these).
+ * @returns {string[]}
+ */
+function allDestinationNames() {
+    return [...new Set(Object.values(config().systems).map(system => system.destination).filter(Boolean))];
+}
+
+/**
+ * Logs the system each service resolves to and fails fast on a service without a valid system.
+ * @param {string[]} services - e.g. ['ProxyService', 'ApprovalService']
+ */
+function logResolvedSystems(services) {
+    const { systems } = config();
+    for (const service of services) {
+        const system = configuredSystem(service);
+        const destination = systems[system]?.destination;
+        if (!destination) {
+            throw new Error(`No S/4 system configured for ${service} (cds.s4Systems, system '${system}')`);
+        }
+        LOG.info(`🔗 ${service} → S/4 system ${system} (destination ${destination}, profiles: ${cds.env.profiles.join(',') || '-'})`);
+    }
+}
+
+module.exports = { resolveS4Destination, s4SystemMiddleware, allDestinationNames, logResolvedSystems };
@@ -0,0 +1,84 @@
+// secret-provider.js - Resolves OAuth client credentials from bindings, env or a local file
+const cds = require('@sap/cds');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Finds a bound service instance in VCAP_SERVICES by instance name or tag.
+ * @param {string} name - Instance name (or tag) to look for.
+ * @returns {object|undefined} - The binding, including its `credentials`.
+ */
+function findServiceBinding(name) {
+    if (!name || !process.env.VCAP_SERVICES) return undefined;
+    const bindings = Object.values(JSON.parse(process.env.VCAP_SERVICES)).flat();
+    return bindings.find(b => b.name === name || b.instance_name === name || b.tags?.includes(name));
+}
+
+// =======================================================================
+// 🔑 CREDENTIAL SOURCES
+// Each source returns { tokenUrl, clientId, clientSecret, apiUrl? } or null.
+// =======================================================================
+
+/**
+ * Reads an XSUAA-style binding. SAP Build Process Automation bindings nest the
+ * UAA credentials under `uaa` and expose the REST API under `endpoints.api`.
+ */
+function fromServiceBinding(serviceName) {
+    const credentials = findServiceBinding(serviceName)?.credentials;
+    if (!credentials) return null;
+
+    const uaa = credentials.uaa || credentials;
+    if (!uaa.url || !uaa.clientid || !uaa.clientsecret) return null;
+
+    return {
+        tokenUrl: `${uaa.url.replace(/\/$/, '')}/oauth/token`,
+        clientId: uaa.clientid,
+        clientSecret: uaa.clientsecret,
+        apiUrl: credentials.endpoints?.api,
+        source: `service:${serviceName}`
+    };
+}
+
+function fromEnv(prefix) {
+    const tokenUrl = process.env[`${prefix}_TOKEN_URL`];
+    const clientId = process.env[`${prefix}_CLIENT_ID`];
+    const clientSecret = process.env[`${prefix}_CLIENT_SECRET`];
+    if (!tokenUrl || !clientId || !clientSecret) return null;
+
+    return { tokenUrl, clientId, clientSecret, apiUrl: process.env[`${prefix}_API_URL`], source: `env:${prefix}_*` };
+}
+
+function fromFile(file) {
+    if (!file) return null;
+    const filePath = path.resolve(cds.root, file);
+    if (!fs.existsSync(filePath)) return null;
+
+    const { tokenUrl, clientId, clientSecret, apiUrl } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!tokenUrl || !clientId || !clientSecret) return null;
+
+    return { tokenUrl, clientId, clientSecret, apiUrl, source: `file:${file}` };
+}
+
+/**
+ * Creates a provider that resolves OAuth client credentials from the first
+ * available source: service binding, environment variables, local file.
+ * @param {object} options
+ * @param {string} [options.service] - Bound service instance name.
+ * @param {string} [options.envPrefix] - Prefix for <PREFIX>_TOKEN_URL, _CLIENT_ID, _CLIENT_SECRET, _API_URL.
+ * @param {string} [options.credentialsFile] - JSON file relative to the project root.
+ * @returns {() => object} - Returns the resolved credentials, throws if none are configured.
+ */
+function createCredentialProvider({ service, envPrefix, credentialsFile } = {}) {
+    let resolved;
+    return () => {
+        if (!resolved) {
+            resolved = fromServiceBinding(service) || fromEnv(envPrefix) || fromFile(credentialsFile);
+        }
+        if (!resolved) {
+            throw new Error(`No OAuth credentials configured (service '${service}', env ${envPrefix}_*, file '${credentialsFile}')`);
+        }
+        return resolved;
+    };
+}
+
+module.exports = { createCredentialProvider, findServiceBinding };
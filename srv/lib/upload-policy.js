@@ -0,0 +1,115 @@
+// upload-policy.js - Allowed attachment types, checked by extension, declared MIME type and magic bytes
+const cds = require('@sap/cds');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULTS = {
+    maxFileSize: 50 * 1024 * 1024,
+    maxFiles: 10,
+    spoolDir: path.join(os.tmpdir(), 'cap-proxy-uploads'),
+    types: {}
+};
+
+const SNIFF_BYTES = 8192;
+
+// File formats recognized by their first bytes
+const SIGNATURES = {
+    pdf: [Buffer.from('%PDF-')],
+    png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+    gif: [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+    tiff: [Buffer.from([0x49, 0x49, 0x2a, 0x00]), Buffer.from([0x4d, 0x4d, 0x00, 0x2a])],
+    ole: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],   // .doc, .xls, .msg
+    zip: [Buffer.from([0x50, 0x4b, 0x03, 0x04])],                            // .docx, .xlsx, .pptx
+    executable: [Buffer.from('MZ'), Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.from('#!')]
+};
+
+// Format an extension's content must have; 'text' is anything without control characters
+const EXTENSION_FORMATS = {
+    '.pdf': 'pdf',
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.gif': 'gif',
+    '.tif': 'tiff',
+    '.tiff': 'tiff',
+    '.doc': 'ole',
+    '.xls': 'ole',
+    '.msg': 'ole',
+    '.docx': 'zip',
+    '.xlsx': 'zip',
+    '.pptx': 'zip',
+    '.txt': 'text',
+    '.csv': 'text'
+};
+
+// Declared by browsers that do not know the type; the type is then taken from the allowlist
+const GENERIC_MIME_TYPES = ['application/octet-stream', ''];
+
+const rejected = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * cds.attachments merged with the defaults: maxFileSize, maxFiles, spoolDir and
+ * types (extension → allowed MIME types, the first one is sent to S/4).
+ */
+function uploadConfig() {
+    const config = { ...DEFAULTS, ...cds.env.attachments };
+    return { ...config, spoolDir: config.spoolDir || DEFAULTS.spoolDir };
+}
+
+/**
+ * Format of the content by its first bytes: a key of SIGNATURES, 'text' or undefined.
+ * @param {Buffer} head - First bytes of the file.
+ * @returns {string|undefined}
+ */
+function sniffFormat(head) {
+    for (const [format, signatures] of Object.entries(SIGNATURES)) {
+        if (signatures.some(signature => head.subarray(0, signature.length).equals(signature))) return format;
+    }
+    // Text: no control characters except tab, line feed, form feed and carriage return
+    return head.every(byte => byte >= 0x20 || [0x09, 0x0a, 0x0c, 0x0d].includes(byte)) ? 'text' : undefined;
+}
+
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Checks a spooled upload against the allowlist: the extension must be allowed, the declared MIME type
+ * must be one of the extension's (or generic) and the content must match the extension's format.
+ *
+ * @param {object} file - multer file: originalname, mimetype, path.
+ * @returns {Promise<{extension: string, contentType: string}>} - contentType is the type sent to S/4.
+ * @throws {Error} ATTACHMENT_TYPE_NOT_ALLOWED
+ */
+async function checkUpload(file) {
+    const { types } = uploadConfig();
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const mimeTypes = types[extension];
+    if (!mimeTypes) {
+        throw rejected('ATTACHMENT_TYPE_NOT_ALLOWED', `File type '${extension || 'none'}' is not allowed, allowed: ${Object.keys(types).join(', ')}`);
+    }
+
+    const declared = String(file.mimetype || '').toLowerCase();
+    if (!mimeTypes.includes(declared) && !GENERIC_MIME_TYPES.includes(declared)) {
+        throw rejected('ATTACHMENT_TYPE_NOT_ALLOWED', `MIME type '${declared}' does not match '${extension}'`);
+    }
+
+    const format = sniffFormat(await readHead(file.path));
+    const expected = EXTENSION_FORMATS[extension];
+    // Extensions without a known format are only checked for executable content
+    if (format === 'executable' || (expected && format !== expected)) {
+        throw rejected('ATTACHMENT_TYPE_NOT_ALLOWED', `Content of '${file.originalname}' is not a ${extension} file`);
+    }
+
+    return { extension, contentType: mimeTypes.includes(declared) ? declared : mimeTypes[0] };
+}
+
+module.exports = { uploadConfig, checkUpload, sniffFormat };
@@ -0,0 +1,114 @@
+// workflow-client.js - SAP Build Process Automation workflow API access
+const cds = require('@sap/cds');
+const { createCredentialProvider } = require('./secret-provider');
+const { logger } = require('./logger');
+
+const LOG = logger('workflow');
+
+// =======================================================================
+// 🎟️ OAuth Token Cache (client credentials grant)
+// =======================================================================
+class OAuthTokenCache {
+    /**
+     * @param {() => object} credentialProvider - See secret-provider.createCredentialProvider.
+     * @param {number} [expirySkewMs=60000] - Refresh tokens this long before they expire.
+     */
+    constructor(credentialProvider, expirySkewMs = 60000) {
+        this.credentialProvider = credentialProvider;
+        this.expirySkewMs = expirySkewMs;
+        this.token = null;
+        this.pending = null;
+    }
+
+    async getToken() {
+        if (this.token && Date.now() < this.token.expiresAt - this.expirySkewMs) {
+            return this.token.accessToken;
+        }
+
+        // Share a single in-flight token request between concurrent callers
+        if (!this.pending) {
+            this.pending = this._fetchToken().finally(() => { this.pending = null; });
+        }
+        return this.pending;
+    }
+
+    invalidate() {
+        this.token = null;
+    }
+
+    async _fetchToken() {
+        const { tokenUrl, clientId, clientSecret } = this.credentialProvider();
+        const authString = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+        const tokenResponse = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': `Basic ${authString}`
+            },
+            body: 'grant_type=client_credentials'
+        });
+
+        if (!tokenResponse.ok) {
+            throw new Error(`OAuth token request failed: ${tokenResponse.status} ${tokenResponse.statusText}`);
+        }
+
+        const data = await tokenResponse.json();
+        const expiresIn = Number(data.expires_in) || 0;
+        this.token = {
+            accessToken: data.access_token,
+            expiresAt: Date.now() + expiresIn * 1000
+        };
+        LOG.info(`OAuth token fetched (expires in ${expiresIn}s)`);
+        return this.token.accessToken;
+    }
+}
+
+const workflowConfig = cds.env.workflow || {};
+const workflowCredentials = createCredentialProvider({ envPrefix: 'WORKFLOW', ...workflowConfig });
+const workflowTokenCache = new OAuthTokenCache(workflowCredentials);
+
+function workflowApiUrl() {
+    const apiUrl = workflowCredentials().apiUrl || workflowConfig.apiUrl;
+    if (!apiUrl) {
+        throw new Error('Workflow API URL is not configured (cds.workflow.apiUrl or binding endpoints.api)');
+    }
+    return apiUrl.replace(/\/$/, '');
+}
+
+/**
+ * Calls the workflow REST API with a cached bearer token. A 401 invalidates the
+ * cached token and the call is retried once with a fresh one.
+ * @param {string} resourcePath - Path below the API root, e.g. '/v1/workflow-instances/<id>/context'.
+ * @param {object} [init] - fetch options.
+ */
+async function workflowRequest(resourcePath, init = {}) {
+    const url = `${workflowApiUrl()}${resourcePath}`;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const accessToken = await workflowTokenCache.getToken();
+        const response = await fetch(url, {
+            ...init,
+            headers: {
+                'Accept': 'application/json',
+                ...init.headers,
+                'Authorization': `Bearer ${accessToken}`
+            }
+        });
+
+        if (response.status === 401 && attempt === 1) {
+            workflowTokenCache.invalidate();
+            continue;
+        }
+        if (!response.ok) {
+            throw new Error(`Workflow request failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+}
+
+async function getWorkflowContext(workflowId) {
+    return workflowRequest(`/v1/workflow-instances/${encodeURIComponent(workflowId)}/context`);
+}
+
+module.exports = { OAuthTokenCache, workflowTokenCache, workflowRequest, getWorkflowContext };
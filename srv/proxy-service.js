@@ -1,168 +1,118 @@
 const cds = require('@sap/cds');
-const express = require('express');
 const multer = require('multer');
+const fs = require('fs');
 const path = require('path');
-const Big = require("big.js");
-
+const { AsyncResource } = require('async_hooks');
+const { basicAuthMiddleware, requireScope, credentialStore } = require('./lib/credential-store');
+const { getWorkflowContext } = require('./lib/workflow-client');
+const companyRules = require('./lib/company-rules');
+const { determinePurchaseOrderType, determinePurchasingOrganisation } = companyRules;
+const { calculatePricing, sumNetPriceAmounts } = require('./lib/pricing');
+const { idempotencyMiddleware, schedulePurge, releaseKey } = require('./lib/idempotency');
+const { auditMiddleware, queryAuditLog } = require('./lib/audit');
+const { getRequestContext } = require('./lib/request-context');
+const { referenceCache, cacheMiddleware } = require('./lib/response-cache');
+const { executeBatch } = require('./lib/odata-batch');
+const { ODataQuery, functionImportUrl, entityUrl } = require('./lib/odata-query');
+const { PagedReader, streamAllPages, wantsAllPages, setTotalCountHeader } = require('./lib/odata-pagination');
+const { prRequisitionValidation } = require('./lib/input-validation');
+const { translateError, sendError } = require('./lib/errors');
+const { resolveS4Destination } = require('./lib/s4-systems');
+const { s4Middleware, describeS4Guards } = require('./lib/s4-resilience');
+const metrics = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+const { uploadConfig, checkUpload } = require('./lib/upload-policy');
+const { scanUpload } = require('./lib/malware-scan');
+const attachments = require('./lib/attachments');
+const { issueApproverLink, verifyApproverLink } = require('./lib/approver-links');
+const { DELETION_CODE, BLOCKED_CODE, normalizeItemNumber, changedFields, matchPurchaseOrderItems } = require('./lib/po-item-sync');
+
+const LOG = logger('proxy');
 
 // =======================================================================
-// 🔧 REQUEST QUEUE for Concurrent API Calls
+// 🔧 Multer Configuration - uploads are spooled to disk and streamed to S/4 (cds.attachments)
 // =======================================================================
-class RequestQueue {
-    constructor(maxConcurrent = 5) {
-        this.maxConcurrent = maxConcurrent;
-        this.running = 0;
-        this.queue = [];
+const uploadLimits = uploadConfig();
+const upload = multer({
+    dest: uploadLimits.spoolDir,
+    limits: {
+        fileSize: uploadLimits.maxFileSize,
+        files: uploadLimits.maxFiles
     }
+});
 
-    async add(fn) {
-        while (this.running >= this.maxConcurrent) {
-            await new Promise(resolve => this.queue.push(resolve));
-        }
-        this.running++;
-
-        try {
-            return await fn();
-        } finally {
-            this.running--;
-            const resolve = this.queue.shift();
-            if (resolve) resolve();
-        }
-    }
+/**
+ * busboy reads the file names of multipart uploads as latin1, browsers and curl send UTF-8.
+ * Names that are not valid UTF-8 that way (e.g. sent as filename*) are kept.
+ */
+function utf8FileName(name) {
+    const decoded = Buffer.from(name, 'latin1').toString('utf8');
+    return decoded.includes('\uFFFD') ? name : decoded;
 }
 
-// Create queue with max 5 concurrent S/4 requests
-const s4RequestQueue = new RequestQueue(5);
-
-// =======================================================================
-// 🔧 CSRF Token Cache (Prevents token conflicts)
-// =======================================================================
-class CSRFTokenCache {
-    constructor() {
-        this.tokens = new Map();
-        this.locks = new Map();
-    }
-
-    async get(service) {
-        const cacheKey = service;
-        const cached = this.tokens.get(cacheKey);
-
-        // Return cached token if valid (within 5 minutes)
-        if (cached && (Date.now() - cached.timestamp) < 300000) {
-            return cached;
+/**
+ * multer.array() with its limit errors in the common error envelope. multer calls back from the
+ * request stream's events, the callback is bound so the route keeps the request context.
+ */
+function spoolUploads(field) {
+    const receive = upload.array(field, uploadLimits.maxFiles);
+    return (req, res, next) => receive(req, res, AsyncResource.bind((error) => {
+        if (!error) {
+            (req.files || []).forEach(file => { file.originalname = utf8FileName(file.originalname); });
+            return next();
         }
-
-        // Acquire lock to prevent parallel token fetches
-        if (this.locks.has(cacheKey)) {
-            await this.locks.get(cacheKey);
-            return this.tokens.get(cacheKey);
-        }
-
-        // Set lock
-        let resolveLock;
-        const lockPromise = new Promise(resolve => { resolveLock = resolve; });
-        this.locks.set(cacheKey, lockPromise);
-
-        try {
-            // Fetch new token
-            const { executeHttpRequest } = require('@sap-cloud-sdk/http-client');
-            const csrfResponse = await executeHttpRequest(
-                { destinationName: 'S4-API-QAS' },
-                {
-                    method: 'GET',
-                    url: service,
-                    headers: {
-                        'X-CSRF-Token': 'Fetch',
-                        'Accept': 'application/json'
-                    },
-                    timeout: 30000
-                }
-            );
-
-            const token = {
-                csrfToken: csrfResponse.headers['x-csrf-token'],
-                cookies: csrfResponse.headers['set-cookie'],
-                timestamp: Date.now()
-            };
-
-            this.tokens.set(cacheKey, token);
-            return token;
-        } finally {
-            this.locks.delete(cacheKey);
-            resolveLock();
+        if (error instanceof multer.MulterError && ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
+            return sendError(res, 'ATTACHMENT_TOO_LARGE', `${error.message} (max. ${uploadLimits.maxFiles} files, ${uploadLimits.maxFileSize} bytes each)`);
         }
-    }
-
-    clear(service) {
-        this.tokens.delete(service);
-    }
+        return next(error);
+    }));
 }
 
-const csrfCache = new CSRFTokenCache();
+const removeSpooledFiles = (files = []) => Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
 
 // =======================================================================
-// 🔧 Multer Configuration
-// =======================================================================
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 50 * 1024 * 1024,
-        files: 10
-    }
-});
-
-// =======================================================================
-// 🔒 BASIC AUTH CREDENTIALS
+// 🔸 S/4 REQUEST HELPER with Retry Logic
 // =======================================================================
-const REQUIRED_USERNAME = 'MARK9BATCH';
-const REQUIRED_PASSWORD = 'dsfhi@gf43$#@';
-
-function basicAuthMiddleware(req, res, next) {
-    const authHeader = req.headers.authorization;
 
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-        res.setHeader('WWW-Authenticate', 'Basic realm="CAP Proxy API"');
-        return res.status(401).json({ success: false, message: 'Authentication required.' });
-    }
-
-    try {
-        const encodedCreds = authHeader.substring(6);
-        const decodedCreds = Buffer.from(encodedCreds, 'base64').toString('utf8');
-        const [username, password] = decodedCreds.split(':');
-
-        if (username === REQUIRED_USERNAME && password === REQUIRED_PASSWORD) {
-            next();
-        } else {
-            res.setHeader('WWW-Authenticate', 'Basic realm="CAP Proxy API"');
-            return res.status(401).json({ success: false, message: 'Invalid credentials.' });
-        }
-    } catch (e) {
-        res.setHeader('WWW-Authenticate', 'Basic realm="CAP Proxy API"');
-        return res.status(401).json({ success: false, message: 'Malformed Authorization header.' });
-    }
+// Network errors of a request that never reached S/4 (no connection, DNS), safe to repeat for any method
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Reads are repeated after network errors, timeouts and 5xx. Writes only when the request was not
+ * sent: S/4 may have processed a POST/PATCH whose answer got lost, repeating it could create a second PO.
+ */
+function isRetryable(config, error) {
+    const networkCode = error.code || error.cause?.code;
+    if (NOT_SENT_CODES.includes(networkCode)) return true;
+    if (!READ_METHODS.includes(String(config.method || 'GET').toUpperCase())) return false;
+    const status = error.response?.status;
+    return networkCode === 'ECONNRESET' || networkCode === 'ETIMEDOUT' || (status >= 500 && status < 600);
 }
 
-// =======================================================================
-// 🔸 S/4 REQUEST HELPER with Retry Logic
-// =======================================================================
 async function executeS4Request(config, retries = 2) {
     const { executeHttpRequest } = require('@sap-cloud-sdk/http-client');
 
+    const context = getRequestContext();
+    const { destinationName } = resolveS4Destination('ProxyService');
+
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            return await s4RequestQueue.add(() =>
-                executeHttpRequest({ destinationName: 'S4-API-QAS' }, config)
+            // Circuit breaker, bulkhead (max. parallel calls) and CSRF session per destination, see lib/s4-resilience.js
+            const response = await executeHttpRequest(
+                { destinationName },
+                { ...config, middleware: s4Middleware('ProxyService', destinationName) },
+                { fetchCsrfToken: false }
             );
+            if (context) context.s4Status = response.status;
+            return response;
         } catch (error) {
-            console.error(`[S4 Request] Attempt ${attempt}/${retries} failed:`, error.message);
-
-            // Retry on network errors or 5xx status codes
-            if (attempt < retries &&
-                (error.code === 'ECONNRESET' ||
-                    error.code === 'ETIMEDOUT' ||
-                    (error.response?.status >= 500 && error.response?.status < 600))) {
+            if (context) context.s4Status = error.response?.status;
+            LOG.error(`[S4 Request] Attempt ${attempt}/${retries} failed:`, error.message);
 
+            if (attempt < retries && isRetryable(config, error)) {
                 // Exponential backoff
+                metrics.s4Retries.inc({ service: 'ProxyService' });
                 await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
                 continue;
             }
@@ -177,6 +127,13 @@ module.exports = cds.service.impl(async function () {
 
     const app = cds.app;
 
+    await credentialStore.start();
+    LOG.info(`🔒 API clients loaded: ${credentialStore.clients.size} (source: ${credentialStore.source})`);
+
+    // Company code rules and idempotency keys live in the db, which is deployed in server.js once all services are served
+    cds.once('served', () => companyRules.loadCompanyRules());
+    cds.once('served', () => schedulePurge());
+
     // REMOVE THIS - Don't add middleware here, it's already in server.js
     // app.use(express.json({ limit: '10mb' }));
     // app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -194,33 +151,24 @@ module.exports = cds.service.impl(async function () {
     });
 
 
-    app.post('/odata/v4/attachment/upload', upload.array('media', 10), async (req, res) => {
+    const auditAttachmentUpload = auditMiddleware('ATTACHMENT_UPLOAD', {
+        payload: (req) => ({ BPnumber: req.body.BPnumber, files: (req.files || []).map(f => ({ name: f.originalname, size: f.size, mimeType: f.mimetype })) })
+    });
+
+    app.post('/odata/v4/attachment/upload', spoolUploads('media'), auditAttachmentUpload, async (req, res) => {
         try {
             const businessPartner = req.body.BPnumber;
             const files = req.files;
 
             if (!businessPartner) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'BPnumber is required in form data'
-                });
+                return sendError(res, 'VALIDATION_FAILED', 'BPnumber is required in form data');
             }
 
             if (!files || files.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'At least one file is required in form data'
-                });
+                return sendError(res, 'VALIDATION_FAILED', 'At least one file is required in form data');
             }
 
-            console.log(`Processing ${files.length} file(s) for Business Partner: ${businessPartner}`);
-
-            // Get CSRF token using cache
-            const tokenData = await csrfCache.get('/sap/opu/odata/sap/ZAPI_PO_ATTACH_SRV/AttachmentSet');
-
-            if (!tokenData.csrfToken) {
-                throw new Error(`Failed to fetch CSRF token`);
-            }
+            LOG.info(`Processing ${files.length} file(s) for Business Partner: ${businessPartner}`);
 
             const successfulUploads = [];
             const failedUploads = [];
@@ -229,42 +177,52 @@ module.exports = cds.service.impl(async function () {
             for (let i = 0; i < files.length; i++) {
                 const file = files[i];
                 const fileName = file.originalname;
-                const fileBuffer = file.buffer;
-                const mimeType = file.mimetype;
-                const fileExtension = fileName.substring(fileName.lastIndexOf('.'));
+                let mimeType = file.mimetype;
+                let checked = false;
 
                 try {
-                    const slug = `${businessPartner}/${businessPartner}_${i + 1}${fileExtension}`;
+                    // Type allowlist and malware scan before anything is sent to S/4
+                    const { extension, contentType } = await checkUpload(file);
+                    await scanUpload(file);
+                    checked = true;
+                    mimeType = contentType;
+
+                    const slug = `${businessPartner}/${businessPartner}_${i + 1}${extension}`;
 
                     const postResponse = await executeS4Request({
                         method: 'POST',
                         url: '/sap/opu/odata/sap/ZAPI_PO_ATTACH_SRV/AttachmentSet',
                         headers: {
-                            'X-CSRF-Token': tokenData.csrfToken,
                             'Slug': slug,
-                            'Content-Type': mimeType,
-                            'Cookie': Array.isArray(tokenData.cookies) ? tokenData.cookies.join('; ') : tokenData.cookies
+                            'Content-Type': contentType,
+                            'Content-Length': file.size
                         },
-                        data: fileBuffer,
+                        // Streamed from the spool file, opened again if the POST is repeated
+                        data: () => fs.createReadStream(file.path),
                         timeout: 90000
                     });
 
+                    metrics.attachmentBytes.inc({ outcome: 'success' }, file.size);
                     successfulUploads.push({
                         fileName: fileName,
-                        fileSize: fileBuffer.length,
+                        fileSize: file.size,
                         mimeType: mimeType,
                         status: 'success',
                         details: postResponse.data
                     });
 
                 } catch (fileError) {
-                    console.error(`File upload failed: ${fileName}`, fileError.message);
+                    LOG.error(`File upload failed: ${fileName}`, fileError.message);
+                    const { code, message } = translateError(fileError);
+                    metrics.attachmentBytes.inc({ outcome: checked ? 'failed' : 'rejected' }, file.size);
                     failedUploads.push({
                         fileName: fileName,
-                        fileSize: fileBuffer.length,
+                        fileSize: file.size,
                         mimeType: mimeType,
                         status: 'failed',
-                        error: fileError.message
+                        error: message,
+                        errorCode: code,
+                        rejected: !checked
                     });
                 }
             }
@@ -281,9 +239,9 @@ module.exports = cds.service.impl(async function () {
                     uploads: successfulUploads
                 });
             } else if (successCount === 0) {
-                return res.status(500).json({
-                    success: false,
-                    message: `Failed to upload all files`,
+                // Nothing reached S/4 when every file was refused by the allowlist or the scan
+                const code = failedUploads.every(failed => failed.rejected) ? 'ATTACHMENT_REJECTED' : 'S4_ERROR';
+                return sendError(res, code, `Failed to upload all files`, {
                     summary: { total: totalFiles, successful: successCount, failed: failCount },
                     uploads: failedUploads
                 });
@@ -298,63 +256,272 @@ module.exports = cds.service.impl(async function () {
             }
 
         } catch (error) {
-            console.error('File upload error:', error);
-            return res.status(500).json({
-                success: false,
-                message: `Failed to process file upload: ${error.message}`
-            });
+            LOG.error('File upload error:', error);
+            return sendError(res, error, 'Failed to process file upload');
+        } finally {
+            await removeSpooledFiles(req.files);
         }
     });
 
     // =======================================================================
-    // 🔹 TRANSACTIONAL ENDPOINTS (PO/PR)
+    // 📂 ATTACHMENT BROWSING - list, download and delete (see lib/attachments.js)
     // =======================================================================
 
+    // Downloads started after the headers went out can only be aborted
+    const sendDownloadError = (res, error, message) => {
+        LOG.error(`${message}:`, error.message);
+        if (res.headersSent) return res.destroy(error);
+        return sendError(res, error, message);
+    };
 
-    // --- 1. PO Type Determination Logic (Preserved) ---
-    const determinePurchaseOrderType = (companyId, budgeted) => {
-        if (!companyId || !String(companyId).trim() || !budgeted) {
-            return "";
+    /**
+     * AttachmentContentSet record of an attachment id, only if it is linked to the purchase order.
+     */
+    const readPoAttachment = async (poNumber, id) => {
+        const keys = attachments.parseAttachmentId(id);
+        if (keys.LinkedSAPObjectKey !== poNumber || keys.BusinessObjectTypeName !== attachments.PO_OBJECT_TYPE) {
+            throw Object.assign(new Error(`Attachment does not belong to purchase order ${poNumber}`), { code: 'NOT_FOUND' });
         }
-        const companyIdUpper = String(companyId).trim().toUpperCase();
-        const budgetedValue = String(budgeted).trim();
-        const isBudgeted = budgetedValue.toUpperCase() === "YES" ||
-            budgetedValue.toUpperCase() === "Y" ||
-            budgetedValue.toUpperCase() === "TRUE";
-
-        if (["ZB01", "ZP01", "ZP03", "ZC01"].includes(companyIdUpper)) {
-            return isBudgeted ? "ZINA" : "ZINB";
+        const s4Response = await executeS4Request({
+            method: 'GET',
+            url: attachments.contentUrl(keys),
+            headers: { 'Accept': 'application/json' }
+        });
+        return { keys, record: s4Response.data?.d || s4Response.data };
+    };
+
+    app.get('/odata/v4/attachment/bp/:businessPartner', basicAuthMiddleware, async (req, res) => {
+        try {
+            const { businessPartner } = req.params;
+            const query = new ODataQuery('AttachmentSet').where('BusinessPartner', businessPartner);
+
+            const s4Response = await executeS4Request({
+                method: 'GET',
+                url: `${attachments.BP_ATTACHMENT_SERVICE}/AttachmentSet?${query}`,
+                headers: { 'Accept': 'application/json' }
+            });
+
+            const list = (s4Response.data?.d?.results || []).map(attachments.toBpAttachment);
+            return res.status(200).json({ success: true, businessPartner, count: list.length, attachments: list });
+        } catch (error) {
+            LOG.error('Attachment list error:', error.message);
+            return sendError(res, error, 'Failed to list business partner attachments');
         }
-        if (["ZA01", "ZA02"].includes(companyIdUpper)) {
-            return isBudgeted ? "ZINF" : "ZING";
+    });
+
+    app.get('/odata/v4/attachment/bp/:businessPartner/:fileName/content', basicAuthMiddleware, async (req, res) => {
+        try {
+            const { businessPartner, fileName } = req.params;
+            const url = attachments.bpAttachmentUrl(`${businessPartner}/${fileName}`);
+
+            const { data } = await executeS4Request({ method: 'GET', url, headers: { 'Accept': 'application/json' } });
+            const record = data?.d || data;
+
+            const s4Response = await executeS4Request({ method: 'GET', url: `${url}/$value`, responseType: 'stream', timeout: 120000 });
+            await attachments.sendContent(res, s4Response, {
+                fileName: record.FileName || fileName,
+                mimeType: record.MimeType,
+                inline: req.query.inline === 'true'
+            });
+        } catch (error) {
+            return sendDownloadError(res, error, 'Failed to download attachment');
         }
-        return "";
-    };
-    // -----------------------------------------------------------------
+    });
+
+    app.get('/odata/v4/attachment/po/:poNumber', basicAuthMiddleware, async (req, res) => {
+        try {
+            const { poNumber } = req.params;
+            const url = functionImportUrl(attachments.ATTACHMENT_SERVICE, 'GetAllOriginals', {
+                LinkedSAPObjectKey: poNumber,
+                BusinessObjectTypeName: attachments.PO_OBJECT_TYPE
+            });
+
+            const s4Response = await executeS4Request({ method: 'GET', url, headers: { 'Accept': 'application/json' } });
+
+            const list = (s4Response.data?.d?.results || []).map(attachments.toPoAttachment);
+            return res.status(200).json({ success: true, poNumber, count: list.length, attachments: list });
+        } catch (error) {
+            LOG.error('Attachment list error:', error.message);
+            return sendError(res, error, 'Failed to list purchase order attachments');
+        }
+    });
+
+    app.get('/odata/v4/attachment/po/:poNumber/:id/content', basicAuthMiddleware, async (req, res) => {
+        try {
+            const { keys, record } = await readPoAttachment(req.params.poNumber, req.params.id);
+
+            // Links created through /http/PRPO/fileAttachment have no content in S/4
+            if (record.DocumentURL) {
+                return sendError(res, 'NOT_FOUND', `Attachment ${record.FileName} is a link and has no content`, { url: record.DocumentURL });
+            }
+
+            const s4Response = await executeS4Request({
+                method: 'GET',
+                url: `${attachments.contentUrl(keys)}/$value`,
+                responseType: 'stream',
+                timeout: 120000
+            });
+            await attachments.sendContent(res, s4Response, {
+                fileName: record.FileName,
+                mimeType: record.MimeType,
+                inline: req.query.inline === 'true'
+            });
+        } catch (error) {
+            return sendDownloadError(res, error, 'Failed to download attachment');
+        }
+    });
+
+    const auditAttachmentDelete = auditMiddleware('ATTACHMENT_DELETE', {
+        poNumber: (req) => req.params.poNumber,
+        documentNumber: (req) => attachments.parseAttachmentId(req.params.id).DocumentInfoRecordDocNumber,
+        payload: (req) => ({ poNumber: req.params.poNumber, id: req.params.id })
+    });
+
+    app.delete('/odata/v4/attachment/po/:poNumber/:id', basicAuthMiddleware, auditAttachmentDelete, async (req, res) => {
+        try {
+            const { keys, record } = await readPoAttachment(req.params.poNumber, req.params.id);
+
+            if (record.AttachmentDeletionIsAllowed !== true) {
+                return sendError(res, 'ATTACHMENT_NOT_DELETABLE', `Attachment ${record.FileName} may not be deleted`);
+            }
+
+            await executeS4Request({ method: 'DELETE', url: attachments.contentUrl(keys) });
+
+            LOG.info(`Attachment ${record.FileName} of PO ${req.params.poNumber} deleted`);
+            return res.status(200).json({
+                success: true,
+                message: `Attachment ${record.FileName} deleted`,
+                attachment: attachments.toPoAttachment(record)
+            });
+        } catch (error) {
+            LOG.error('Attachment delete error:', error.message);
+            return sendError(res, error, 'Failed to delete attachment');
+        }
+    });
+
+    // =======================================================================
+    // 🛠️ ADMIN ENDPOINTS - Company Code Rules
+    // =======================================================================
+
+    app.get('/odata/v4/proxy/admin/companyrules', basicAuthMiddleware, requireScope('admin'), async (req, res) => {
+        try {
+            return res.status(200).json({ rules: await companyRules.listCompanyRules() });
+        } catch (error) {
+            LOG.error('Company rules read error:', error);
+            return sendError(res, error, 'Failed to read company code rules');
+        }
+    });
+
+    app.put('/odata/v4/proxy/admin/companyrules/:companyCode', basicAuthMiddleware, requireScope('admin'), async (req, res) => {
+        try {
+            const rule = { ...req.body, CompanyCode: String(req.params.companyCode).toUpperCase() };
+            const errors = companyRules.validateRule(rule);
 
+            if (errors.length > 0) {
+                return sendError(res, 'VALIDATION_FAILED', 'Invalid company code rule.', { errors });
+            }
 
-    // --- 2. Purchasing Organization Logic (Preserved) ---
-    const determinePurchasingOrganisation = (companyId) => {
-        if (!companyId || !String(companyId).trim()) {
-            return "";
+            await companyRules.saveCompanyRule(rule);
+            LOG.info(`📋 Company code rule ${rule.CompanyCode} saved by ${req.apiClient.id}`);
+            return res.status(200).json({ success: true, rule });
+        } catch (error) {
+            LOG.error('Company rules update error:', error);
+            return sendError(res, error, 'Failed to save company code rule');
         }
-        const companyIdUpper = String(companyId).trim().toUpperCase();
+    });
 
-        if (companyIdUpper === "ZB01") {
-            return "ZB01";
+    app.delete('/odata/v4/proxy/admin/companyrules/:companyCode', basicAuthMiddleware, requireScope('admin'), async (req, res) => {
+        try {
+            const companyCode = String(req.params.companyCode).toUpperCase();
+            const deleted = await companyRules.deleteCompanyRule(companyCode);
+
+            if (!deleted) {
+                return sendError(res, 'NOT_FOUND', `No rule maintained for company code ${companyCode}.`);
+            }
+            LOG.info(`📋 Company code rule ${companyCode} deleted by ${req.apiClient.id}`);
+            return res.status(204).end();
+        } catch (error) {
+            LOG.error('Company rules delete error:', error);
+            return sendError(res, error, 'Failed to delete company code rule');
         }
-        if (companyIdUpper === "ZC01") {
-            return "ZC01";
+    });
+
+    // =======================================================================
+    // 🛠️ ADMIN ENDPOINTS - Reference Data Cache
+    // =======================================================================
+
+    app.get('/odata/v4/proxy/admin/cache', basicAuthMiddleware, requireScope('admin'), (req, res) => {
+        return res.status(200).json({ routes: referenceCache.describe() });
+    });
+
+    // Without :route every cached route is invalidated
+    app.delete('/odata/v4/proxy/admin/cache/:route?', basicAuthMiddleware, requireScope('admin'), (req, res) => {
+        const route = req.params.route;
+        if (route && !referenceCache.isCached(route)) {
+            return sendError(res, 'NOT_FOUND', `Route '${route}' is not cached.`);
         }
-        if (["ZP01", "ZP03"].includes(companyIdUpper)) {
-            return "ZP01";
+
+        const removed = referenceCache.invalidate(route);
+        LOG.info(`[Cache] Invalidated ${route || 'all routes'} (${removed} entries) by ${req.apiClient.id}`);
+        return res.status(200).json({ success: true, route: route || '*', removed });
+    });
+
+    // =======================================================================
+    // 🛠️ ADMIN ENDPOINTS - S/4 Circuit Breakers
+    // =======================================================================
+
+    app.get('/odata/v4/proxy/admin/circuit-breakers', basicAuthMiddleware, requireScope('admin'), (req, res) => {
+        return res.status(200).json({ circuitBreakers: describeS4Guards() });
+    });
+
+    // =======================================================================
+    // 🛠️ ADMIN ENDPOINTS - Audit Trail
+    // =======================================================================
+
+    // e.g. /odata/v4/proxy/admin/audit?poNumber=4500000100&from=2026-01-01&to=2026-02-01
+    app.get('/odata/v4/proxy/admin/audit', basicAuthMiddleware, requireScope('admin'), async (req, res) => {
+        const { prNumber, poNumber, from, to, top, skip } = req.query;
+
+        const invalidDate = [from, to].find(value => value && isNaN(new Date(value)));
+        if (invalidDate) {
+            return sendError(res, 'VALIDATION_FAILED', `Invalid date '${invalidDate}'. Use ISO 8601, e.g. 2026-01-31.`);
         }
-        if (["ZA01", "ZA02"].includes(companyIdUpper)) {
-            return "ZA01";
+
+        try {
+            return res.status(200).json(await queryAuditLog({ prNumber, poNumber, from, to, top, skip }));
+        } catch (error) {
+            LOG.error('Audit query error:', error);
+            return sendError(res, error, 'Failed to read audit trail');
         }
-        return "";
-    };
-    // -----------------------------------------------------------------
+    });
+
+    // =======================================================================
+    // 🛠️ ADMIN ENDPOINTS - Idempotency Keys
+    // =======================================================================
+
+    const auditKeyRelease = auditMiddleware('IDEMPOTENCY_KEY_RELEASE', { payload: (req) => req.query });
+
+    // Releases a key without a definite result once S/4 was checked, so the client can retry with it
+    // e.g. /odata/v4/proxy/admin/idempotency?route=/http/post/data&key=PR0001234
+    app.delete('/odata/v4/proxy/admin/idempotency', basicAuthMiddleware, requireScope('admin'), auditKeyRelease, async (req, res) => {
+        const { route, key } = req.query;
+        if (!route || !key) {
+            return sendError(res, 'VALIDATION_FAILED', 'Query parameters route and key are required.');
+        }
+
+        try {
+            const released = await releaseKey(String(route), String(key));
+            LOG.info(`🔑 Idempotency key ${route}:${key} (${released.Status}) released by ${req.apiClient.id}`);
+            return res.status(200).json({ success: true, route, key, previousStatus: released.Status });
+        } catch (error) {
+            LOG.error('Idempotency key release error:', error.message);
+            return sendError(res, error, 'Failed to release idempotency key');
+        }
+    });
+
+    // =======================================================================
+    // 🔹 TRANSACTIONAL ENDPOINTS (PO/PR)
+    // =======================================================================
 
 
     // --- 3. Condition Rate Value Logic (Preserved) ---
@@ -389,131 +556,85 @@ module.exports = cds.service.impl(async function () {
     };
 
 
-    // CREATE PO
-    app.post('/http/post/data', basicAuthMiddleware, async (req, res) => {
-        try {
-            console.log('=== PO Creation Started ===');
-            const poPayload = req.body;
-
-            // Validation
-            if (!poPayload || !poPayload.context || !poPayload.context.prRequisitionInputs) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid payload. Expecting poPayload.context.prRequisitionInputs.',
-                    receivedPayload: poPayload
-                });
-            }
-
-            const sourceData = poPayload.context.prRequisitionInputs;
-
-            // ------------------------------
-            // ⭐ NEW FUNCTION — DISCOUNT LOGIC (Converted from Groovy)
-            // ------------------------------
-            function calculateFinalAmount(item, sourceData) {
-                const Big = require("big.js");
-
-                const unitPrice = item.UnitPrice ? Big(item.UnitPrice) : Big(0);
-                const quantity = item.Quantity ? Big(item.Quantity) : Big(0);
-
-                const discountPerc = item.Discount ? Big(item.Discount) : Big(0);
-                const discountAmt = item.DiscountAmt ? Big(item.DiscountAmt) : Big(0);
-
-                const globalPerc = sourceData.LumpsumDiscount ? Big(sourceData.LumpsumDiscount) : Big(0);
-                const globalAmt = sourceData.LumpsumDiscountAmt ? Big(sourceData.LumpsumDiscountAmt) : Big(0);
+    /**
+     * Maps one BPA item to an A_PurchaseOrderItem deep insert (incl. schedule line and account assignment).
+     * Used for new POs and for lines added to an existing PO on update.
+     */
+    const buildPurchaseOrderItem = (sourceData, item, itemNumber, netPrice, companyRule, poNumber = "") => ({
+        "PurchaseOrder": poNumber,
+        "PurchaseOrderItem": itemNumber,
+        "Plant": companyRule.Plant,
+        "ProductType": "1",
+        "MaterialGroup": item.MaterialGroup || "",
+        "OrderQuantity": String(item.Quantity || 0),
+        "NetPriceAmount": netPrice,     // ⭐ UPDATED
+        "OrderPriceUnit": companyRule.OrderUnit,
+        "DocumentCurrency": sourceData.Currency_Code || "",
+        "NetPriceQuantity": "1",
+        "RequisitionerName": sourceData.RequestorName || "",
+        "PurchaseOrderItemText": item.ItemDescription || "",
+        "AccountAssignmentCategory": (item.AssetAccountAssignmentCategory == "A") ? "A" : "K",
+        "GoodsReceiptIsNonValuated": true,
+        "PurchaseOrderItemCategory": "0",
+        "PurchaseOrderQuantityUnit": companyRule.OrderUnit,
+        "OrderPriceUnitToOrderUnitNmrtr": "1",
+        "OrdPriceUnitToOrderUnitDnmntr": "1",
+        "GoodsReceiptIsExpected": true,
+        "ReferenceDeliveryAddressID": sourceData.Delivery_Address || "",
+        "InvoiceIsGoodsReceiptBased": true,
+        // Account assignment
+        to_AccountAssignment: {
+            results: [{
+                PurchaseOrder: poNumber,
+                PurchaseOrderItem: itemNumber,
+                AccountAssignmentNumber: "1",
+                Quantity: String(item.Quantity || 0),
+                GLAccount: item.GLaccount || "",
+                CostCenter: item.CostCenter || "",
+                MasterFixedAsset: item.AssetCode || "",
+                OrderID: item.NominalCode || ""
+            }]
+        },
+        // Schedule line
+        to_ScheduleLine: {
+            results: [{
+                ScheduleLineDeliveryDate: convertDateToODataFormat(item.LineEstDelivDate)
+            }]
+        }
+    });
 
-                const applyAmountDiscount = globalAmt.gt(0);
-                const applyPercentDiscount = (!applyAmountDiscount && globalPerc.gt(0));
+    // Dry run (?dryRun=true or X-Dry-Run: true): build the S/4 payloads and return them without any S/4 write
+    const isDryRun = (req) => String(req.query.dryRun ?? req.headers['x-dry-run'] ?? '').toLowerCase() === 'true';
 
-                // BASE AMOUNT = unitPrice * qty
-                let base = unitPrice.times(quantity);
+    // Idempotency keys and the audit trail are only for real writes
+    const unlessDryRun = (middleware) => (req, res, next) => isDryRun(req) ? next() : middleware(req, res, next);
 
-                // -------- ITEM LEVEL DISCOUNT --------
-                let afterItem = base;
+    // CREATE PO (idempotent: Idempotency-Key header, defaulting to the PR number)
+    const poCreateIdempotency = idempotencyMiddleware(req => req.body?.context?.prRequisitionInputs?.PRNumber);
 
-                if (discountPerc.gt(0)) {
-                    const discValue = base.times(discountPerc).div(100);
-                    afterItem = base.minus(discValue);
-                } else if (discountAmt.gt(0)) {
-                    afterItem = base.minus(discountAmt);
-                }
+    const auditPoCreate = auditMiddleware('PO_CREATE', {
+        prNumber: (req) => req.body.context.prRequisitionInputs.PRNumber,
+        poNumber: (req, body) => body.A_PurchaseOrder.A_PurchaseOrderType.PurchaseOrder,
+        documentNumber: (req, body) => body.A_PurchaseOrder.A_PurchaseOrderType.PurchaseOrder
+    });
 
-                // -------- GLOBAL LEVEL DISCOUNT --------
-                let finalAmount = afterItem;
+    app.post('/http/post/data', basicAuthMiddleware, unlessDryRun(auditPoCreate), prRequisitionValidation('create'), unlessDryRun(poCreateIdempotency), async (req, res) => {
+        try {
+            LOG.info('=== PO Creation Started ===');
+            const poPayload = req.body;
 
-                if (applyAmountDiscount) {
-                    finalAmount = finalAmount.minus(globalAmt);
-                } else if (applyPercentDiscount) {
-                    const globalValue = finalAmount.times(globalPerc).div(100);
-                    finalAmount = finalAmount.minus(globalValue);
-                }
+            const sourceData = poPayload.context.prRequisitionInputs;
+            const companyRule = companyRules.resolveCompanyRule(sourceData.CompanyId);
 
-                // ⭐ Precision = Scale 3
-                return finalAmount.round(2, 0).toString();
-            }
+            // ⭐ Line amounts after item and lumpsum discounts
+            const pricing = calculatePricing(sourceData);
 
             // ------------------------------
             // Dynamic Item Mapping (UPDATED with Amount Calculation)
             // ------------------------------
-            const itemResults = sourceData.Item && sourceData.Item.length > 0
-                ? sourceData.Item.map((item, index) => {
-
-                    const itemNumber = String((index + 1) * 10).padStart(5, '0');
-
-                    // ⭐ Call Discount Logic
-                    const finalAmount = calculateFinalAmount(item, sourceData);
-
-                    // Schedule line
-                    const scheduleLine = {
-                        to_ScheduleLine: {
-                            results: [{
-                                ScheduleLineDeliveryDate: convertDateToODataFormat(item.LineEstDelivDate)
-                            }]
-                        }
-                    };
-
-                    // Account assignment
-                    const accountAssignment = {
-                        to_AccountAssignment: {
-                            results: [{
-                                PurchaseOrder: "",
-                                PurchaseOrderItem: itemNumber,
-                                AccountAssignmentNumber: "1",
-                                Quantity: String(item.Quantity || 0),
-                                GLAccount: item.GLaccount || "",
-                                CostCenter: item.CostCenter || "",
-                                MasterFixedAsset: item.AssetCode || "",
-                                OrderID: item.NominalCode || ""
-                            }]
-                        }
-                    };
-
-                    return {
-                        "PurchaseOrder": "",
-                        "PurchaseOrderItem": itemNumber,
-                        "Plant": sourceData.CompanyId,
-                        "ProductType": "1",
-                        "MaterialGroup": item.MaterialGroup || "",
-                        "OrderQuantity": String(item.Quantity || 0),
-                        "NetPriceAmount": finalAmount,     // ⭐ UPDATED
-                        "OrderPriceUnit": "EA",
-                        "DocumentCurrency": sourceData.Currency_Code || "",
-                        "NetPriceQuantity": "1",
-                        "RequisitionerName": sourceData.RequestorName || "",
-                        "PurchaseOrderItemText": item.ItemDescription || "",
-                        "AccountAssignmentCategory": (item.AssetAccountAssignmentCategory == "A") ? "A" : "K",
-                        "GoodsReceiptIsNonValuated": true,
-                        "PurchaseOrderItemCategory": "0",
-                        "PurchaseOrderQuantityUnit": "EA",
-                        "OrderPriceUnitToOrderUnitNmrtr": "1",
-                        "OrdPriceUnitToOrderUnitDnmntr": "1",
-                        "GoodsReceiptIsExpected": true,
-                        "ReferenceDeliveryAddressID": sourceData.Delivery_Address || "",
-                        "InvoiceIsGoodsReceiptBased": true,
-                        ...accountAssignment,
-                        ...scheduleLine
-                    };
-                })
-                : [];
+            const itemResults = (sourceData.Item || []).map((item, index) => buildPurchaseOrderItem(
+                sourceData, item, String((index + 1) * 10).padStart(5, '0'), pricing.lines[index].net, companyRule
+            ));
 
             // ------------------------------
             // Main Payload
@@ -523,8 +644,8 @@ module.exports = cds.service.impl(async function () {
                 "PurchaseOrderType": determinePurchaseOrderType(sourceData.CompanyId, sourceData.Budgeted),
                 "CompanyCode": sourceData.CompanyId || "",
                 "Supplier": sourceData.Vendor_Recommendation || "",
-                "Language": "EN",
-                "PaymentTerms": "0030",
+                "Language": companyRule.Language,
+                "PaymentTerms": companyRule.PaymentTerms,
                 "PurchasingGroup": sourceData.PurchasingGroup || "",
                 "DocumentCurrency": sourceData.Currency_Code || "",
                 "PurchaseOrderDate": convertDateToODataFormat(new Date()),
@@ -536,6 +657,19 @@ module.exports = cds.service.impl(async function () {
                 "PurchasingCompletenessStatus": false
             };
 
+            if (isDryRun(req)) {
+                LOG.info('✓ PO Creation dry run, nothing sent to S/4');
+                return res.status(200).json({
+                    success: true,
+                    dryRun: true,
+                    PurchaseOrderType: mainPayload.PurchaseOrderType,
+                    PurchasingOrganization: mainPayload.PurchasingOrganization,
+                    Pricing: pricing,
+                    s4Request: { method: 'POST', url: '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder' },
+                    mainPayload
+                });
+            }
+
             const poResponse = await executeS4Request({
                 method: 'POST',
                 url: '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder',
@@ -551,7 +685,7 @@ module.exports = cds.service.impl(async function () {
             const createdPOData = poResponse.data?.d || poResponse.data;
             const poNumber = createdPOData?.PurchaseOrder || "Unknown";
 
-            console.log("✓ PO Created:", poNumber);
+            LOG.info("✓ PO Created:", poNumber);
             const header = createdPOData;
 
             // Final Structure
@@ -614,27 +748,25 @@ module.exports = cds.service.impl(async function () {
             return res.status(201).json(transformedResponse);
 
         } catch (error) {
-            console.error("PO creation error:", error);
-            return res.status(500).json({
-                success: false,
-                message: `Failed to create PO: ${error.message}`,
-                error: error.response?.data || error.message
-            });
+            LOG.error("PO creation error:", error);
+            return sendError(res, error, 'Failed to create PO');
         }
     });
 
 
     // generate PR Number
-    app.post("/odata/v4/pr/generate", basicAuthMiddleware, async (req, res) => {
+    const auditPrGenerate = auditMiddleware('PR_NUMBER_GENERATE', {
+        prNumber: (req, body) => body.prNumber,
+        documentNumber: (req, body) => body.prNumber
+    });
+
+    app.post("/odata/v4/pr/generate", basicAuthMiddleware, auditPrGenerate, async (req, res) => {
         try {
-            console.log('=== PR Number Generation Started ===');
+            LOG.info('=== PR Number Generation Started ===');
             const payload = req.body;
 
             if (!payload) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid payload. Request body is required.'
-                });
+                return sendError(res, 'VALIDATION_FAILED', 'Invalid payload. Request body is required.');
             }
 
             const prNumberResponse = await executeS4Request({
@@ -652,7 +784,7 @@ module.exports = cds.service.impl(async function () {
             const createdPR = prNumberResponse.data?.d || prNumberResponse.data;
             const prNumber = createdPR?.PRNumber || createdPR?.PurchaseRequisition || createdPR?.Number || 'Unknown Generated Number';
 
-            console.log('✓ PR Number Generated:', prNumber);
+            LOG.info('✓ PR Number Generated:', prNumber);
 
             return res.status(201).json({
                 success: true,
@@ -662,46 +794,30 @@ module.exports = cds.service.impl(async function () {
             });
 
         } catch (error) {
-            console.error('PR generation error:', error);
-            return res.status(500).json({
-                success: false,
-                message: `Failed to generate PR number: ${error.message}`,
-                error: error.response?.data || error.message
-            });
+            LOG.error('PR generation error:', error);
+            return sendError(res, error, 'Failed to generate PR number');
         }
     });
 
     // 2️⃣1️⃣ Delegate Approver POST
-    app.post("/odata/v4/proxy/postdeligate", basicAuthMiddleware, async (req, res) => {
+    app.post("/odata/v4/proxy/postdeligate", basicAuthMiddleware, auditMiddleware('DELEGATE_APPROVER'), async (req, res) => {
         const fullServiceUrl = '/sap/opu/odata/sap/ZAPI_DEL_APPROVER_SRV';
         const postEntityUrl = `${fullServiceUrl}/UpdateReqSet`;
 
         try {
-            console.log('=== Delegate Approver POST Started ===');
+            LOG.info('=== Delegate Approver POST Started ===');
             const payload = req.body;
 
             if (!payload || Object.keys(payload).length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid payload. Request body is required for delegation.'
-                });
-            }
-
-            // Get CSRF token using cache
-            const tokenData = await csrfCache.get(`${fullServiceUrl}/UpdateReqSet`);
-
-            if (!tokenData.csrfToken) {
-                throw new Error(`Failed to fetch CSRF token for delegation service.`);
+                return sendError(res, 'VALIDATION_FAILED', 'Invalid payload. Request body is required for delegation.');
             }
 
             const postResponse = await executeS4Request({
                 method: 'POST',
                 url: postEntityUrl,
                 headers: {
-                    'X-CSRF-Token': tokenData.csrfToken,
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'Cookie': Array.isArray(tokenData.cookies) ? tokenData.cookies.join('; ') : tokenData.cookies
+                    'Accept': 'application/json'
                 },
                 data: payload,
                 timeout: 90000
@@ -709,7 +825,7 @@ module.exports = cds.service.impl(async function () {
 
             const postedData = postResponse.data?.d || postResponse.data;
 
-            console.log('✓ Delegate Approver POST Success');
+            LOG.info('✓ Delegate Approver POST Success');
 
             return res.status(201).json({
                 success: true,
@@ -718,13 +834,8 @@ module.exports = cds.service.impl(async function () {
             });
 
         } catch (error) {
-            console.error('Delegate approver error:', error);
-            const status = error.response?.status || 500;
-            return res.status(status).json({
-                success: false,
-                message: `Failed to post Delegate Approver data: ${error.message}`,
-                error: error.response?.data || error.message
-            });
+            LOG.error('Delegate approver error:', error);
+            return sendError(res, error, 'Failed to post Delegate Approver data');
         }
     });
 
@@ -735,6 +846,9 @@ module.exports = cds.service.impl(async function () {
     // =======================================================================
 
     async function fetchFromS4(url, entity, req, res) {
+        if (wantsAllPages(req)) {
+            return fetchAllFromS4(url, entity, req, res);
+        }
         try {
             const queryParams = [];
 
@@ -762,13 +876,18 @@ module.exports = cds.service.impl(async function () {
                 queryParams.push(`$orderby=${encodeURIComponent(req.query.orderby || req.query['$orderby'])}`);
             }
 
+            // 5. Total count, returned as X-Total-Count
+            if ((req.query.inlinecount || req.query['$inlinecount']) === 'allpages') {
+                queryParams.push('$inlinecount=allpages');
+            }
+
             // Construct URL
             let fullUrl = url;
             if (queryParams.length > 0) {
                 fullUrl = `${url}?${queryParams.join("&")}`;
             }
 
-            console.log(`[S4 Proxy] Fetching ${entity}. URL: ${fullUrl}`);
+            LOG.info(`[S4 Proxy] Fetching ${entity}. URL: ${url}`, { options: queryParams.map(param => param.split('=')[0]) });
 
             // Actual S/4 call
             const s4Response = await executeS4Request({
@@ -779,59 +898,64 @@ module.exports = cds.service.impl(async function () {
             });
 
             // 🔥🔥 Return EXACT SAP OData V2 structure — NO modifications
+            setTotalCountHeader(res, s4Response.data);
             return res.status(200).json(s4Response.data);
 
         } catch (error) {
-            console.error(`[S4 Proxy] Fetch error for ${entity}:`, error.message);
-            const status = error.response?.status || 500;
+            LOG.error(`[S4 Proxy] Fetch error for ${entity}:`, error.message);
+            return sendError(res, error, `Error fetching ${entity}`);
+        }
+    }
 
-            return res.status(status).json({
-                error: true,
-                message: `Error fetching ${entity}`,
-                details: error.response?.data || error.message
-            });
+    /**
+     * ?all=true: reads every page of the entity set (bounded by cds.pagination.maxRecords) and
+     * streams it as JSON or NDJSON. top/limit caps the number of records, skip is the start offset.
+     */
+    async function fetchAllFromS4(url, entity, req, res) {
+        const queryParams = [];
+        const filterValue = req.query.filter || req.query['$filter'];
+        if (filterValue) {
+            queryParams.push(`$filter=${encodeURIComponent(filterValue)}`);
+        }
+        if (req.query.select || req.query['$select']) {
+            queryParams.push(`$select=${encodeURIComponent(req.query.select || req.query['$select'])}`);
         }
+        if (req.query.orderby || req.query['$orderby']) {
+            queryParams.push(`$orderby=${encodeURIComponent(req.query.orderby || req.query['$orderby'])}`);
+        }
+        const fullUrl = queryParams.length > 0 ? `${url}?${queryParams.join('&')}` : url;
+
+        LOG.info(`[S4 Proxy] Fetching all pages of ${entity}. URL: ${url}`, { options: queryParams.map(param => param.split('=')[0]) });
+
+        const reader = new PagedReader(executeS4Request, fullUrl, {
+            maxRecords: req.query.top || req.query.limit,
+            skip: req.query.skip || req.query['$skip']
+        });
+        return streamAllPages(reader, req, res, entity);
     }
 
     async function fetchFromS4_POST_FAL(url, entity, req, res) {
         try {
             const payload = req.body;
-            const filterParts = [];
 
             if (!payload || Object.keys(payload).length === 0) {
-                return res.status(400).json({ success: false, message: 'Request body with filter parameters is required.' });
+                return sendError(res, 'VALIDATION_FAILED', 'Request body with filter parameters is required.');
             }
 
-            if (payload.Currency) {
-                filterParts.push(`Waers eq '${payload.Currency}'`);
-            }
-            if (payload.CompanyCode) {
-                filterParts.push(`Bukrs eq '${payload.CompanyCode}'`);
-            }
-            if (payload.PurchasingGroup) {
-                filterParts.push(`Ekgrp eq '${payload.PurchasingGroup}'`);
-            }
-            if (payload.Amount) {
-                filterParts.push(`Netwr eq ${Number(payload.Amount)}`);
-            }
+            const query = new ODataQuery(entity)
+                .where('Waers', payload.Currency)
+                .where('Bukrs', payload.CompanyCode)
+                .where('Ekgrp', payload.PurchasingGroup)
+                .where('Netwr', payload.Amount || undefined);
 
-            const filterString = filterParts.join(' and ');
-            const queryParams = [`$filter=${encodeURIComponent(filterString)}`, `$top=3000`];
+            let fullUrl = `${url}?${query}`;
 
-            let fullUrl = `${url}?${queryParams.join('&')}`;
+            LOG.info(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${url}`, { filter: query.filterValues });
 
-            console.log(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${fullUrl}`);
+            // All pages, a FAL step beyond the first page must not be dropped
+            let responseData = await new PagedReader(executeS4Request, fullUrl).readAll();
 
-            const s4Response = await executeS4Request({
-                method: 'GET',
-                url: fullUrl,
-                headers: { 'Accept': 'application/json' },
-                timeout: 120000
-            });
-
-            let responseData = s4Response.data?.d?.results || s4Response.data?.value || s4Response.data;
-
-            console.log(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${responseData.length || 'Unknown'}`);
+            LOG.info(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${responseData.length || 'Unknown'}`);
 
             const approvers = {};
             for (let i = 1; i <= 8; i++) {
@@ -853,13 +977,8 @@ module.exports = cds.service.impl(async function () {
             });
 
         } catch (error) {
-            console.error(`[S4 Proxy FAL POST] Fetch error for ${entity}:`, error.message);
-            const status = error.response?.status || 500;
-            return res.status(status).json({
-                success: false,
-                message: `Failed to fetch ${entity} data: ${error.message}`,
-                errorDetails: error.response?.data || error.message
-            });
+            LOG.error(`[S4 Proxy FAL POST] Fetch error for ${entity}:`, error.message);
+            return sendError(res, error, `Failed to fetch ${entity} data`);
         }
     }
 
@@ -868,41 +987,48 @@ module.exports = cds.service.impl(async function () {
     // =======================================================================
 
     // Note: All endpoints now utilize the robust filter/top/skip logic in fetchFromS4
+    // Reference data (value helps) is served through cacheMiddleware; PR/PO, FAL, delegate
+    // and material document reads are transactional and always go to S/4.
 
     // 1️⃣ Company Codes
-    app.get("/odata/v4/proxy/getcompanycode", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getcompanycode", basicAuthMiddleware, cacheMiddleware('getcompanycode'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_COMPCODE_CDS/ZAPI_COMPCODE', 'ZAPI_COMPCODE', req, res);
     });
 
     // 2️⃣ Suppliers
-    app.get("/odata/v4/proxy/getsupplier", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getsupplier", basicAuthMiddleware, cacheMiddleware('getsupplier'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_SUPPLIER_CDS/ZAPI_SUPPLIER', 'ZAPI_SUPPLIER', req, res);
     });
 
     // 3️⃣ GL Accounts (Critical for filtering)
-    app.get("/odata/v4/proxy/getglaccount", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getglaccount", basicAuthMiddleware, cacheMiddleware('getglaccount'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_GLACCOUNT_CDS/ZAPI_GLACCOUNT', 'ZAPI_GLACCOUNT', req, res);
     });
 
     // 4️⃣ Cost Centers
-    app.get("/odata/v4/proxy/getcostcenter", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getcostcenter", basicAuthMiddleware, cacheMiddleware('getcostcenter'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_COSTCENTER_CDS/ZAPI_COSTCENTER', 'ZAPI_COSTCENTER', req, res);
     });
 
     // 5️⃣ Asset Numbers
-    app.get("/odata/v4/proxy/getassetnumber", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getassetnumber", basicAuthMiddleware, cacheMiddleware('getassetnumber'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_ASSET_NUM_CDS/ZAPI_ASSET_NUM', 'ZAPI_ASSET_NUM', req, res);
     });
 
     // 6️⃣ Internal Orders
-    app.get("/odata/v4/proxy/getinternalorder", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getinternalorder", basicAuthMiddleware, cacheMiddleware('getinternalorder'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_INT_ORDER_CDS/ZAPI_INT_ORDER', 'ZAPI_INT_ORDER', req, res);
     });
 
     // 7️⃣ PR/PO Data - UI + BPA
     app.get("/odata/v4/proxy/getprpodata", basicAuthMiddleware, async (req, res) => {
+        // Streamed in S/4 order, use orderby to sort
+        if (wantsAllPages(req)) {
+            return fetchFromS4('/sap/opu/odata/sap/ZAPI_PRPO_CDS/ZAPI_PRPO', 'ZAPI_PRPO', req, res);
+        }
         try {
             await fetchFromS4('/sap/opu/odata/sap/ZAPI_PRPO_CDS/ZAPI_PRPO', 'ZAPI_PRPO', req, {
+                setHeader: (name, value) => res.setHeader(name, value),
                 status: (code) => ({
                     json: async (data) => {
                         if (data.data && Array.isArray(data.data)) {
@@ -918,13 +1044,13 @@ module.exports = cds.service.impl(async function () {
                 })
             });
         } catch (error) {
-            console.error("Error fetching or sorting PR/PO data:", error);
-            res.status(500).json({ success: false, message: "Internal server error." });
+            LOG.error("Error fetching or sorting PR/PO data:", error);
+            sendError(res, error, 'Failed to read PR/PO data');
         }
     });
 
     // 8️⃣ Currencies
-    app.get("/odata/v4/proxy/getcurrency", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getcurrency", basicAuthMiddleware, cacheMiddleware('getcurrency'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_CURRENCY_CDS/ZAPI_CURRENCY', 'ZAPI_CURRENCY', req, res);
     });
 
@@ -939,17 +1065,17 @@ module.exports = cds.service.impl(async function () {
     });
 
     // 1️⃣1️⃣ Threshold Value
-    app.get("/odata/v4/proxy/getthrshld", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getthrshld", basicAuthMiddleware, cacheMiddleware('getthrshld'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_PO_THRSHLD_CDS/ZAPI_PO_THRSHLD', 'ZAPI_PO_THRSHLD', req, res);
     });
 
     // 1️⃣2 Reason of cancellation
-    app.get("/odata/v4/proxy/getcclreas", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getcclreas", basicAuthMiddleware, cacheMiddleware('getcclreas'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_PO_CCLREAS_CDS/ZAPI_PO_CCLREAS', 'ZAPI_PO_CCLREAS', req, res);
     });
 
     // 1️⃣3 Mandatory GL Accounts
-    app.get("/odata/v4/proxy/getglNc", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getglNc", basicAuthMiddleware, cacheMiddleware('getglNc'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_PO_GL_NC_CDS/ZAPI_PO_GL_NC', 'ZAPI_PO_GL_NC', req, res);
     });
 
@@ -975,12 +1101,12 @@ module.exports = cds.service.impl(async function () {
     });
 
     // 1️⃣8 Delivery Address
-    app.get("/odata/v4/proxy/getdeliveryaddr", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getdeliveryaddr", basicAuthMiddleware, cacheMiddleware('getdeliveryaddr'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_PO_DELV_AD_CDS/ZAPI_PO_DELV_AD', 'ZAPI_PO_DELV_AD', req, res);
     });
 
     // MATKL GL account
-    app.get("/odata/v4/proxy/getMaterialGroup", basicAuthMiddleware, (req, res) => {
+    app.get("/odata/v4/proxy/getMaterialGroup", basicAuthMiddleware, cacheMiddleware('getMaterialGroup'), (req, res) => {
         return fetchFromS4('/sap/opu/odata/sap/ZAPI_MATKL_GL_CDS/ZAPI_MATKL_GL', 'ZAPI_MATKL_GL', req, res);
     });
 
@@ -994,40 +1120,68 @@ module.exports = cds.service.impl(async function () {
 
 
     // Dynamic Email Link - BPA
-    app.post("/http/get/Approverlink", basicAuthMiddleware, (req, res) => {
+    // Approver deep links: signed token with expiry and single-use nonce (see lib/approver-links.js)
+    const auditApproverLink = auditMiddleware('APPROVER_LINK', {
+        payload: (req) => ({ Workflow_id: req.body.Workflow_id, Role: req.body.Role })
+    });
+
+    app.post("/http/get/Approverlink", basicAuthMiddleware, auditApproverLink, async (req, res) => {
         try {
             const { Role, email, Workflow_id, DelegateApprover } = req.body;
-            const Base_URL = "https://kuok--singapore--limited-devksl-3bk1u0k3-dev-kuokk2prauth.cfapps.ap11.hana.ondemand.com/odata/v4/Catalog/prreview"
 
             if (!Role || !email || !Workflow_id) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Missing required fields. Required: Role, email, Workflow_id"
-                });
+                return sendError(res, 'VALIDATION_FAILED', "Missing required fields. Required: Role, email, Workflow_id");
             }
 
-            let combinedString = `workflowid=${Workflow_id}&role=${Role}&email=${email}`;
+            const { url, expiresAt } = await issueApproverLink({
+                workflowId: Workflow_id,
+                role: Role,
+                email,
+                delegateApprover: DelegateApprover && DelegateApprover.trim() !== "" ? DelegateApprover : undefined
+            });
+
+            return res.status(200).json({
+                response: {
+                    url,
+                    expiresAt
+                }
+            });
+
+        } catch (error) {
+            LOG.error(`[Dynamic Email Link] Error:`, error.message);
+            return sendError(res, error, "Failed to generate dynamic link");
+        }
+    });
+
+    // Called by the review app with the value of the link; a link verifies once
+    const auditApproverLinkVerify = auditMiddleware('APPROVER_LINK_VERIFY', {
+        payload: () => ({})
+    });
 
-            if (DelegateApprover && DelegateApprover.trim() !== "") {
-                combinedString += `&delegateapprover=${DelegateApprover}`;
+    app.post("/http/get/Approverlink/verify", basicAuthMiddleware, auditApproverLinkVerify, async (req, res) => {
+        try {
+            const { token } = req.body;
+
+            if (!token) {
+                return sendError(res, 'VALIDATION_FAILED', "Missing required field: token");
             }
 
-            const encodedValue = Buffer.from(combinedString).toString("base64");
-            const finalUrl = `${Base_URL}(value='${encodedValue}')`;
+            const approver = await verifyApproverLink(token, req.apiClient?.id);
 
             return res.status(200).json({
                 response: {
-                    url: finalUrl
+                    valid: true,
+                    Workflow_id: approver.workflowId,
+                    Role: approver.role,
+                    email: approver.email,
+                    DelegateApprover: approver.delegateApprover ?? "",
+                    expiresAt: approver.expiresAt
                 }
             });
 
         } catch (error) {
-            console.error(`[Dynamic Email Link] Error:`, error.message);
-            return res.status(500).json({
-                success: false,
-                message: "Failed to generate dynamic link",
-                error: error.message
-            });
+            LOG.warn(`[Dynamic Email Link] Verification failed:`, error.message);
+            return sendError(res, error, "Approver link rejected");
         }
     });
 
@@ -1040,33 +1194,21 @@ module.exports = cds.service.impl(async function () {
         const entity = "Z_SAP_SUBSTITUT";
         try {
             const payload = req.body;
-            const filterParts = [];
 
             if (!payload || Object.keys(payload).length === 0) {
-                return res.status(400).json({ success: false, message: 'Request body with filter parameters is required.' });
-            }
-
-            if (payload.smtp_addr_p) {
-                filterParts.push(`smtp_addr_p eq '${payload.smtp_addr_p.toUpperCase()}'`);
+                return sendError(res, 'VALIDATION_FAILED', 'Request body with filter parameters is required.');
             }
 
-            const filterString = filterParts.join(' and ');
-            const queryParams = [`$filter=${encodeURIComponent(filterString)}`, `$top=3000`];
-
-            let fullUrl = `${url}?${queryParams.join('&')}`;
+            const query = new ODataQuery(entity)
+                .where('smtp_addr_p', payload.smtp_addr_p && String(payload.smtp_addr_p).toUpperCase());
 
-            console.log(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${fullUrl}`);
+            let fullUrl = `${url}?${query}`;
 
-            const s4Response = await executeS4Request({
-                method: 'GET',
-                url: fullUrl,
-                headers: { 'Accept': 'application/json' },
-                timeout: 120000
-            });
+            LOG.info(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${url}`, { filter: query.filterValues });
 
-            let responseData = s4Response.data?.d?.results || s4Response.data?.value || s4Response.data;
+            let responseData = await new PagedReader(executeS4Request, fullUrl).readAll();
 
-            console.log(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${responseData.length || 'Unknown'}`);
+            LOG.info(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${responseData.length || 'Unknown'}`);
 
             // --- Start Transformation Logic ---
             let delegateApproverEmail = "";
@@ -1086,59 +1228,13 @@ module.exports = cds.service.impl(async function () {
             });
 
         } catch (error) {
-            console.error(`[S4 Proxy Delegate POST] Fetch error for ${entity}:`, error.message);
-            const status = error.response?.status || 500;
-            return res.status(status).json({
-                success: false,
-                message: `Failed to fetch ${entity} data: ${error.message}`,
-                errorDetails: error.response?.data || error.message
-            });
+            LOG.error(`[S4 Proxy Delegate POST] Fetch error for ${entity}:`, error.message);
+            return sendError(res, error, `Failed to fetch ${entity} data`);
         }
     });
 
 
 
-    function base64Encode(str) {
-        return btoa(str);
-    }
-
-    // --- 1. Get OAuth Token ---
-    async function getOAuthToken(tokenUrl, clientId, clientSecret) {
-        const authString = base64Encode(`${clientId}:${clientSecret}`);
-        const tokenResponse = await fetch(tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Authorization': `Basic ${authString}`
-            },
-            body: 'grant_type=client_credentials'
-        });
-
-        if (!tokenResponse.ok) {
-            throw new Error(`OAuth token request failed: ${tokenResponse.status} ${tokenResponse.statusText}`);
-        }
-        const data = await tokenResponse.json();
-        return data.access_token;
-    }
-
-    async function getWorkflowContext(workflowId, accessToken) {
-        const workflowUrl = `https://ksl.test01.apimanagement.ap11.hana.ondemand.com/dev/public/workflow/rest/v1/workflow-instances/${workflowId}/context`;
-
-        const workflowResponse = await fetch(workflowUrl, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
-
-        if (!workflowResponse.ok) {
-            throw new Error(`Workflow context request failed: ${workflowResponse.status} ${workflowResponse.statusText}`);
-        }
-
-        return workflowResponse.json();
-    }
-
     // GET Single  - BPA
     app.post("/http/Get/pr", basicAuthMiddleware, async (req, res) => {
         // Use a new helper function designed for POST requests
@@ -1146,29 +1242,20 @@ module.exports = cds.service.impl(async function () {
         const url = "/sap/opu/odata/sap/ZAPI_PRPO_CDS/ZAPI_PRPO";
         const entity = "ZAPI_PRPO";
 
-        // OAuth Details for Workflow API
-        const OAUTH_TOKEN_URL = "https://devtyo-tlgm9pd3.authentication.jp10.hana.ondemand.com/oauth/token";
-        const CLIENT_ID = "sb-e9cc1a95-d05b-47d1-a278-b86f3cea4291!b3180|xsuaa!b1358";
-        const CLIENT_SECRET = "a024e418-1399-4411-b41c-2e1ac1b26236$25rAx1dZhKRhfYeT3LAY039U3kc0INC5yPZaYY7pviw=";
-
         try {
             const payload = req.body;
-            const filterParts = [];
 
             if (!payload || Object.keys(payload).length === 0) {
-                return res.status(400).json({ success: false, message: 'Request body with filter parameters is required.' });
-            }
-
-            if (payload.prnum) {
-                filterParts.push(`prnum eq '${payload.prnum}'`);
+                return sendError(res, 'VALIDATION_FAILED', 'Request body with filter parameters is required.');
             }
 
-            const filterString = filterParts.join(' and ');
-            const queryParams = [`$filter=${encodeURIComponent(filterString)}`, `$top=3000`];
+            const query = new ODataQuery(entity)
+                .where('prnum', payload.prnum)
+                .top(3000);
 
-            let fullUrl = `${url}?${queryParams.join('&')}`;
+            let fullUrl = `${url}?${query}`;
 
-            console.log(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${fullUrl}`);
+            LOG.info(`[S4 Proxy FAL POST] Fetching ${entity}. S/4 URL: ${url}`, { filter: query.filterValues });
 
             const s4Response = await executeS4Request({
                 method: 'GET',
@@ -1181,12 +1268,12 @@ module.exports = cds.service.impl(async function () {
 
 
             if (!prData) {
-                console.log(`[S4 Proxy FAL POST] ${entity} fetch success. Records: 0`);
+                LOG.info(`[S4 Proxy FAL POST] ${entity} fetch success. Records: 0`);
                 return res.status(200).json({ "prdata": null });
             }
 
 
-            console.log(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${s4Response.length || 'Unknown'}`);
+            LOG.info(`[S4 Proxy FAL POST] ${entity} fetch success. Records: ${s4Response.length || 'Unknown'}`);
 
             const workflowId = prData.workflowid;
             const role = prData.prstat?.split(" ")[1]
@@ -1197,11 +1284,8 @@ module.exports = cds.service.impl(async function () {
             // 2. Fetch Workflow Context data if workflowid exists
             if (workflowId) {
                 try {
-                    // Get OAuth Token
-                    const accessToken = await getOAuthToken(OAUTH_TOKEN_URL, CLIENT_ID, CLIENT_SECRET);
-
-                    // Fetch Workflow Context
-                    const workflowContext = await getWorkflowContext(workflowId, accessToken);
+                    // Fetch Workflow Context (OAuth token is cached by the workflow client)
+                    const workflowContext = await getWorkflowContext(workflowId);
 
                     // Extract and merge desired fields
                     const projectDescription = workflowContext.startEvent?.prRequisitionInputs?.ProjectDescription;
@@ -1214,11 +1298,11 @@ module.exports = cds.service.impl(async function () {
                         finalPRData.TotalAmount = totalAmount;
                     }
 
-                    console.log(`[S4 Proxy FAL POST] Workflow Context fetch success for ID: ${workflowId}`);
+                    LOG.info(`[S4 Proxy FAL POST] Workflow Context fetch success for ID: ${workflowId}`);
 
                 } catch (workflowError) {
                     // Log workflow error but proceed with PR data
-                    console.error(`[S4 Proxy Delegate POST] Workflow fetch error for ID ${workflowId}:`, workflowError.message);
+                    LOG.error(`[S4 Proxy Delegate POST] Workflow fetch error for ID ${workflowId}:`, workflowError.message);
                     // Optionally add a status/error flag to the response here if needed
                 }
             }
@@ -1228,66 +1312,38 @@ module.exports = cds.service.impl(async function () {
             });
 
         } catch (error) {
-            console.error(`[S4 Proxy Delegate POST] Fetch error for ${entity}:`, error.message);
-            const status = error.response?.status || 500;
-            return res.status(status).json({
-                success: false,
-                message: `Failed to fetch ${entity} data: ${error.message}`,
-                errorDetails: error.response?.data || error.message
-            });
+            LOG.error(`[S4 Proxy Delegate POST] Fetch error for ${entity}:`, error.message);
+            return sendError(res, error, `Failed to fetch ${entity} data`);
         }
     });
 
     /// check if approver are required or not
-    app.post("/http/PRPO/ApproverRequired", basicAuthMiddleware, async (req, res) => {
+    app.post("/http/PRPO/ApproverRequired", basicAuthMiddleware, prRequisitionValidation('approverRequired'), async (req, res) => {
 
         const url = "/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder";
         const entity = "A_PurchaseOrder";
 
         try {
             const data = req.body;
-            const prRequisitionInputs = data.context?.prRequisitionInputs;
-
-            // 1. INPUT EXTRACTION
-            const PurchaseOrderNumber = prRequisitionInputs?.PO_number;
-            const inputTotalAmount = prRequisitionInputs?.TotalAmount; // Used as the comparison value
-            const headerLumpsumDiscount = prRequisitionInputs?.lumpsumDiscount || "0";
-            const inputItems = prRequisitionInputs?.Item || [];
-
-            if (!PurchaseOrderNumber) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Missing required field: context.prRequisitionInputs.PO_number'
-                });
-            }
+            const prRequisitionInputs = data.context.prRequisitionInputs;
 
-            if (inputItems.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Missing required field: context.prRequisitionInputs.Item'
-                });
-            }
+            // 1. INPUT EXTRACTION (required fields checked by prRequisitionValidation)
+            const PurchaseOrderNumber = prRequisitionInputs.PO_number;
 
             // 2. ODATA QUERY CONSTRUCTION (Replicating CPI's OData step)
-            const filterString = `PurchaseOrder eq '${PurchaseOrderNumber}'`;
-
             // Full $select string copied directly from your CPI flow
             const selectString = "PurchaseOrder,CompanyCode,PurchaseOrderType,Language,Supplier,ExchangeRate,PaymentTerms,PurchasingGroup,DocumentCurrency,PurchaseOrderDate,to_PurchaseOrderItem/Plant,to_PurchaseOrderItem/ProductType,to_PurchaseOrderItem/MaterialGroup,to_PurchaseOrderItem/OrderQuantity,to_PurchaseOrderItem/NetPriceAmount,to_PurchaseOrderItem/OrderPriceUnit,to_PurchaseOrderItem/DocumentCurrency,to_PurchaseOrderItem/NetPriceQuantity,to_PurchaseOrderItem/PurchaseOrderItem,to_PurchaseOrderItem/RequisitionerName,to_PurchaseOrderItem/to_AccountAssignment/Quantity,to_PurchaseOrderItem/to_AccountAssignment/GLAccount,to_PurchaseOrderItem/to_AccountAssignment/CostCenter,to_PurchaseOrderItem/PurchaseOrder,to_PurchaseOrderItem/to_AccountAssignment/PurchaseOrder,to_PurchaseOrderItem/to_AccountAssignment/PurchaseOrderItem,to_PurchaseOrderItem/to_AccountAssignment/AccountAssignmentNumber,to_PurchaseOrderItem/PurchaseOrderItemText,to_PurchaseOrderItem/AccountAssignmentCategory,to_PurchaseOrderItem/PurchaseOrderItemCategory,to_PurchaseOrderItem/PurchaseOrderQuantityUnit,to_PurchaseOrderItem/OrdPriceUnitToOrderUnitDnmntr,to_PurchaseOrderItem/OrderPriceUnitToOrderUnitNmrtr,ReleaseIsNotCompleted,PurchasingOrganization,PurchasingDocumentOrigin,PurchasingCompletenessStatus";
 
             // Correct OData V2 expansion syntax: Parent and Child Navigations separated by commas.
-            const expandString = `to_PurchaseOrderItem,to_PurchaseOrderItem/to_AccountAssignment`;
-
-
-            const queryParams = [
-                `$filter=${encodeURIComponent(filterString)}`,
-                `$select=${encodeURIComponent(selectString)}`,
-                `$top=1`,
-                `$expand=${expandString}`
-            ];
+            const query = new ODataQuery(entity)
+                .where('PurchaseOrder', PurchaseOrderNumber)
+                .select(selectString.split(','))
+                .top(1)
+                .expand('to_PurchaseOrderItem', 'to_PurchaseOrderItem/to_AccountAssignment');
 
-            let fullUrl = `${url}?${queryParams.join('&')}`;
+            let fullUrl = `${url}?${query}`;
 
-            console.log(`[S4 Proxy PO Approver] Fetching ${entity}. S/4 URL: ${fullUrl}`);
+            LOG.info(`[S4 Proxy PO Approver] Fetching ${entity}. S/4 URL: ${url}`, { filter: query.filterValues });
 
             const s4Response = await executeS4Request({
                 method: 'GET',
@@ -1300,103 +1356,67 @@ module.exports = cds.service.impl(async function () {
             let poData = s4Response.data?.d?.results?.[0] || s4Response.data?.value?.[0] || null;
 
             if (!poData) {
-                console.log(`[S4 Proxy PO Approver] ${entity} fetch successful. Records: 0. Skipping discount calculation.`);
-                // Return failure, but based on your original response, this fetch failure leads to a 400 response above.
-                // If the PO doesn't exist, you might need a different failure message here.
-                return res.status(404).json({
-                    success: false,
-                    message: `Purchase Order ${PurchaseOrderNumber} not found in S/4 HANA.`
-                });
+                LOG.info(`[S4 Proxy PO Approver] ${entity} fetch successful. Records: 0. Skipping discount calculation.`);
+                return sendError(res, 'S4_NOT_FOUND', `Purchase Order ${PurchaseOrderNumber} not found in S/4 HANA.`);
             }
 
-            console.log(`[S4 Proxy PO Approver] ${entity} fetch successful. Records: 1.`);
-
-
-            // 3. BUSINESS LOGIC EMULATION (Replicating the second Groovy Script)
-            let calculatedTotalAmount = 0.0;
-            const headerDiscountPct = parseFloat(headerLumpsumDiscount) || 0.0;
-
-            // const poInputItem = poData?.to_PurchaseOrderItem?.results;
-
-            inputItems.forEach(item => {
-                const qty = parseFloat(item.Quantity) || 0.0;
-                const unitPrice = parseFloat(item.UnitPrice) || 0.0;
-                let finalLineAmount = qty * unitPrice; // Start with the line total
-
-                const lineDiscountPct = parseFloat(item.Discount) || 0.0;
-                const lineDiscountAmtStr = item.DiscountAmt === "" ? "0" : item.DiscountAmt;
-                const lineDiscountAmt = parseFloat(lineDiscountAmtStr) || 0.0;
-
-                // Calculate discount logic exactly as in your Groovy script
+            LOG.info(`[S4 Proxy PO Approver] ${entity} fetch successful. Records: 1.`);
 
-                // CASE 1 & 2 → Percentage Discount
-                if (lineDiscountPct > 0 && lineDiscountAmt === 0) {
-                    finalLineAmount -= (unitPrice * lineDiscountPct / 100);
 
-                    if (headerDiscountPct > 0) {
-                        finalLineAmount -= (unitPrice * headerDiscountPct / 100);
-                    }
-                }
-                // CASE 3 → Amount Discount
-                else if (lineDiscountAmt > 0 && lineDiscountPct === 0) {
-                    finalLineAmount -= lineDiscountAmt;
-                    // Header discount is ignored in this case
-                }
-                // CASE 4 → Mixed lines
-                else if ((lineDiscountPct > 0 || lineDiscountAmt > 0) && headerDiscountPct > 0) {
-                    if (lineDiscountPct > 0) {
-                        finalLineAmount -= (unitPrice * lineDiscountPct / 100);
-                    }
-                    if (lineDiscountAmt > 0) {
-                        finalLineAmount -= lineDiscountAmt;
-                    }
-                }
-
-                calculatedTotalAmount += finalLineAmount;
-            });
-
-            // Round the total amount to avoid floating-point errors in comparison
-            calculatedTotalAmount = Math.round(calculatedTotalAmount * 100) / 100;
-            const predefinedSumAmount = parseFloat(inputTotalAmount) || 0.0;
-
-            let PoTotalAmt = 0;
-            poData.to_PurchaseOrderItem.results.forEach((ele) => {
-                PoTotalAmt += parseFloat(ele.NetPriceAmount)
-            })
+            // 3. PRICING - same engine as PO create/update
+            const calculatedTotalAmount = calculatePricing(prRequisitionInputs).header.net;
+            const PoTotalAmt = sumNetPriceAmounts(poData.to_PurchaseOrderItem?.results);
             const approverRequired = (calculatedTotalAmount === PoTotalAmt) ? "false" : "true";
 
             return res.status(200).json({
                 // "poData": poData,
                 "Response": {
                     "ApproverRequired": approverRequired,
-                    "TotalAmount": PoTotalAmt.toFixed(2),
-                    "PredefinedSumAmount": calculatedTotalAmount.toFixed(2)
+                    "TotalAmount": PoTotalAmt,
+                    "PredefinedSumAmount": calculatedTotalAmount
                 }
             });
 
         } catch (error) {
-            console.error(`[S4 Proxy PO Approver] Fetch error for ${entity}:`, error.message);
-            const status = error.response?.status || 500;
-
-            // This is the structure you were seeing for the 400 error.
-            return res.status(status).json({
-                success: false,
-                message: `Failed to fetch ${entity} data: ${error.message}`,
-                errorDetails: error.response?.data || error.message
+            LOG.error(`[S4 Proxy PO Approver] Fetch error for ${entity}:`, error.message);
+            return sendError(res, error, `Failed to fetch ${entity} data`);
+        }
+    });
+
+    // Price breakdown - same calculation as PO create/update/ApproverRequired
+    app.post("/http/PRPO/PriceBreakdown", basicAuthMiddleware, (req, res) => {
+        const prRequisitionInputs = req.body?.context?.prRequisitionInputs;
+
+        if (!prRequisitionInputs) {
+            return sendError(res, 'VALIDATION_FAILED', 'Invalid payload. Expecting context.prRequisitionInputs.');
+        }
+
+        try {
+            const { lines, header } = calculatePricing(prRequisitionInputs);
+            return res.status(200).json({
+                "Breakdown": {
+                    "Currency": prRequisitionInputs.Currency_Code || "",
+                    "Lines": lines,
+                    "Header": header
+                }
             });
+        } catch (error) {
+            return sendError(res, error, 'Failed to calculate price breakdown');
         }
     });
 
     // attachment Proxy
-    app.post("/http/PRPO/fileAttachment", basicAuthMiddleware, async (req, res) => {
+    const auditUrlAttachment = auditMiddleware('ATTACHMENT_URL', {
+        poNumber: (req) => req.body.LinkedSAPObjectKey,
+        documentNumber: (req, body) => body.AttachmentContentSet.AttachmentContent.DocumentInfoRecordDocNumber
+    });
+
+    app.post("/http/PRPO/fileAttachment", basicAuthMiddleware, auditUrlAttachment, async (req, res) => {
         try {
             const payload = req.body;
 
             if (!payload) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Invalid payload. Provide request body."
-                });
+                return sendError(res, 'VALIDATION_FAILED', "Invalid payload. Provide request body.");
             }
 
             // ---------------------------------------------------------
@@ -1413,39 +1433,34 @@ module.exports = cds.service.impl(async function () {
 
             // Mandatory checks
             if (!Url || !SemanticObject || !LinkedSAPObjectKey || !BusinessObjectTypeName) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Missing mandatory fields in payload."
-                });
+                return sendError(res, 'VALIDATION_FAILED', "Missing mandatory fields in payload.");
             }
 
             // ---------------------------------------------------------
-            // 2. Sanitize + Encode URL (CPI logic)
+            // 2. Sanitize URL (CPI logic), encoding is done by functionImportUrl
             // ---------------------------------------------------------
-            function sanitizeAndEncodeUrl(rawUrl) {
-                let url = rawUrl.replace(/[<>\[\]{}]/g, "");  // remove special chars
-                url = url.replace(/"/g, "");                 // remove double quotes
-                return encodeURIComponent(url);              // encode
+            function sanitizeUrl(rawUrl) {
+                let url = String(rawUrl).replace(/[<>[\]{}]/g, "");  // remove special chars
+                url = url.replace(/"/g, "");                        // remove double quotes
+                return url;
             }
 
-            const sanitizedUrl = sanitizeAndEncodeUrl(Url);
+            const sanitizedUrl = sanitizeUrl(Url);
 
             // ---------------------------------------------------------
-            // 3. Manually build the query string
+            // 3. Build the function import call (typed, escaped parameters)
             // ---------------------------------------------------------
-            const baseUrl = "/sap/opu/odata/sap/API_CV_ATTACHMENT_SRV/CreateUrlAsAttachment";
-
-            const queryString =
-                "SemanticObject='" + SemanticObject + "'" +
-                "&LinkedSAPObjectKey='" + LinkedSAPObjectKey + "'" +
-                "&BusinessObjectTypeName='" + BusinessObjectTypeName + "'" +
-                "&Url='" + sanitizedUrl + "'" +
-                "&UrlDescription='" + UrlDescription + "'" +
-                "&MIMEType='" + MIMEType + "'";
-
-            const finalUrl = `${baseUrl}?${queryString}`;
+            const params = {
+                SemanticObject,
+                LinkedSAPObjectKey,
+                BusinessObjectTypeName,
+                Url: sanitizedUrl,
+                UrlDescription: UrlDescription ?? "",
+                MIMEType: MIMEType ?? ""
+            };
+            const finalUrl = functionImportUrl("/sap/opu/odata/sap/API_CV_ATTACHMENT_SRV", "CreateUrlAsAttachment", params);
 
-            console.log("[ATTACHMENT PROXY] Calling:", finalUrl);
+            LOG.info("[ATTACHMENT PROXY] Calling CreateUrlAsAttachment", params);
 
             // ---------------------------------------------------------
             // 4. Axios call to S/4
@@ -1469,289 +1484,602 @@ module.exports = cds.service.impl(async function () {
             // Extract actual SAP data (ignore metadata)
             const sap = responseData?.d || responseData;
 
-            // Convert SAP OData date: /Date(1763637844000)/ → ISO string
-            function convertODataDate(odataDate) {
-                if (!odataDate) return "";
-                const timestamp = Number(odataDate.replace("/Date(", "").replace(")/", ""));
-                return new Date(timestamp).toISOString().replace("Z", "");
+            // Build final structure exactly as you want
+            const finalResponse = { "AttachmentContentSet": { "AttachmentContent": attachments.toAttachmentContent(sap) } };
+            return res.status(200).json(finalResponse);
+
+        } catch (error) {
+            LOG.error("[ATTACHMENT PROXY ERROR]", error.message);
+            return sendError(res, error, "Failed to create attachment");
+        }
+    });
+
+    // Binary originals on a PO (multipart, field "media"), answered like /http/PRPO/fileAttachment
+    const auditFileAttachmentUpload = auditMiddleware('ATTACHMENT_FILE', {
+        poNumber: (req) => req.body.LinkedSAPObjectKey,
+        documentNumber: (req, body) => [].concat(body.AttachmentContentSet.AttachmentContent).map(content => content.DocumentInfoRecordDocNumber).join(','),
+        payload: (req) => ({ LinkedSAPObjectKey: req.body.LinkedSAPObjectKey, files: (req.files || []).map(f => ({ name: f.originalname, size: f.size, mimeType: f.mimetype })) })
+    });
+
+    app.post("/http/PRPO/fileAttachment/upload", basicAuthMiddleware, spoolUploads('media'), auditFileAttachmentUpload, async (req, res) => {
+        try {
+            const { LinkedSAPObjectKey } = req.body;
+            const files = req.files;
+
+            if (!LinkedSAPObjectKey) {
+                return sendError(res, 'VALIDATION_FAILED', 'LinkedSAPObjectKey (purchase order) is required in form data');
+            }
+            if (!files || files.length === 0) {
+                return sendError(res, 'VALIDATION_FAILED', 'At least one file is required in form data');
             }
 
-            // Build final structure exactly as you want
-            const finalResponse = {
-                "AttachmentContentSet": {
-                    "AttachmentContent": {
-                        WorkstationApplication: sap.WorkstationApplication,
-                        CreatedByUser: sap.CreatedByUser,
-                        ArchiveLinkRepository: sap.ArchiveLinkRepository,
-                        FileName: sap.FileName,
-                        DocumentInfoRecordDocPart: sap.DocumentInfoRecordDocPart,
-                        CreatedByUserFullName: sap.CreatedByUserFullName,
-                        SAPObjectType: sap.SAPObjectType,
-                        MimeType: sap.MimeType,
-                        Source: sap.Source,
-                        BusinessObjectTypeName: sap.BusinessObjectTypeName,
-                        LogicalDocument: sap.LogicalDocument,
-                        SAPObjectNodeType: sap.SAPObjectNodeType,
-                        ArchiveDocumentID: sap.ArchiveDocumentID,
-                        ChangedDateTime: convertODataDate(sap.ChangedDateTime),
-                        AttachmentContentHash: sap.AttachmentContentHash,
-                        HarmonizedDocumentType: sap.HarmonizedDocumentType,
-                        DocumentInfoRecordDocNumber: sap.DocumentInfoRecordDocNumber,
-                        LinkedSAPObjectKey: sap.LinkedSAPObjectKey,
-                        StorageCategory: sap.StorageCategory,
-                        DocumentURL: sap.DocumentURL,
-                        BusinessObjectType: sap.BusinessObjectType,
-                        LastChangedByUser: sap.LastChangedByUser,
-                        CreationDateTime: convertODataDate(sap.CreationDateTime),
-                        DocumentInfoRecordDocVersion: sap.DocumentInfoRecordDocVersion,
-                        Content: sap.Content,
-                        DocumentInfoRecordDocType: sap.DocumentInfoRecordDocType,
-                        LastChangedByUserFullName: sap.LastChangedByUserFullName,
-                        SemanticObject: sap.SemanticObject,
-                        AttachmentDeletionIsAllowed: sap.AttachmentDeletionIsAllowed.toString(),
-                        AttachmentRenameIsAllowed: sap.AttachmentRenameIsAllowed.toString(),
-                        FileSize: sap.FileSize
-                    }
+            LOG.info(`Attaching ${files.length} file(s) to PO ${LinkedSAPObjectKey}`);
+
+            const created = [];
+            const failedUploads = [];
+
+            // One POST per file, sequentially like the business partner uploads
+            for (const file of files) {
+                let checked = false;
+                try {
+                    const { contentType } = await checkUpload(file);
+                    await scanUpload(file);
+                    checked = true;
+
+                    const s4Response = await executeS4Request({
+                        method: 'POST',
+                        url: `${attachments.ATTACHMENT_SERVICE}/AttachmentContentSet`,
+                        headers: {
+                            // Slug is the file name, encoded as S/4 decodes it
+                            'Slug': encodeURIComponent(file.originalname),
+                            'BusinessObjectTypeName': attachments.PO_OBJECT_TYPE,
+                            'LinkedSAPObjectKey': LinkedSAPObjectKey,
+                            'Content-Type': contentType,
+                            'Content-Length': file.size,
+                            'Accept': 'application/json'
+                        },
+                        data: () => fs.createReadStream(file.path),
+                        timeout: 120000
+                    });
+
+                    metrics.attachmentBytes.inc({ outcome: 'success' }, file.size);
+                    created.push(attachments.toAttachmentContent(s4Response.data?.d || s4Response.data));
+                } catch (fileError) {
+                    LOG.error(`File attachment failed: ${file.originalname}`, fileError.message);
+                    const { code, message } = translateError(fileError);
+                    metrics.attachmentBytes.inc({ outcome: checked ? 'failed' : 'rejected' }, file.size);
+                    failedUploads.push({
+                        fileName: file.originalname,
+                        fileSize: file.size,
+                        mimeType: file.mimetype,
+                        error: message,
+                        errorCode: code,
+                        rejected: !checked
+                    });
                 }
+            }
+
+            if (created.length === 0) {
+                const code = failedUploads.every(failed => failed.rejected) ? 'ATTACHMENT_REJECTED' : 'S4_ERROR';
+                return sendError(res, code, 'Failed to attach all files', { failedUploads });
+            }
+
+            // A single file gives the exact shape of /http/PRPO/fileAttachment, several files a list of AttachmentContent
+            const finalResponse = {
+                "AttachmentContentSet": { "AttachmentContent": created.length === 1 && files.length === 1 ? created[0] : created }
             };
+            if (failedUploads.length > 0) {
+                return res.status(207).json({ ...finalResponse, failedUploads });
+            }
             return res.status(200).json(finalResponse);
 
         } catch (error) {
-            console.error("[ATTACHMENT PROXY ERROR]", error.message);
-
-            const status = error.response?.status || 500;
-
-            return res.status(status).json({
-                success: false,
-                message: "Failed to create attachment: " + error.message,
-                errorDetails: error.response?.data || error.message
-            });
+            LOG.error("[ATTACHMENT PROXY ERROR]", error.message);
+            return sendError(res, error, "Failed to attach files");
+        } finally {
+            await removeSpooledFiles(req.files);
         }
     });
 
     //  PO Update & Cancel
-    app.post("/http/PRPO/Update", basicAuthMiddleware, async (req, res) => {
+    const PO_SERVICE_PATH = '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV';
+
+    // *** Validate and adjust dates to be in the future ***
+    const getValidFutureDate = (dateString) => {
+        if (!dateString) {
+            const futureDate = new Date();
+            futureDate.setDate(futureDate.getDate() + 30);
+            return futureDate.toISOString().split('T')[0];
+        }
+
+        const inputDate = new Date(dateString);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (inputDate < today) {
+            LOG.warn(`Date ${dateString} is in the past. Setting to tomorrow.`);
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            return tomorrow.toISOString().split('T')[0];
+        }
 
+        return dateString;
+    };
+
+    /**
+     * Pricing element of a PO item (read with $expand=to_PurchaseOrderPricingElement) for a condition type, e.g. RA00.
+     */
+    const findPricingElement = (item, conditionType) => (item.to_PurchaseOrderPricingElement?.results || [])
+        .find(element => String(element.ConditionType).toUpperCase() === String(conditionType).trim().toUpperCase());
+
+    /**
+     * Plans the item synchronisation of an update: matches the BPA items to the current PO items
+     * and builds the PATCH (changed fields only), POST (new lines) and deletion operations.
+     *
+     * @returns {{itemOperations: object[]}|{errors: string[]}}
+     */
+    function planItemSync(poNumberToUpdate, sourceData, currentItems, pricing) {
+        let itemSync;
         try {
-            console.log('=== PO Update/Cancel Started ===');
-            const poPayload = req.body;
+            itemSync = matchPurchaseOrderItems(sourceData.Item, currentItems);
+        } catch (error) {
+            if (error.code !== 'INVALID_ITEM_KEY') throw error;
+            itemSync = { errors: [error.message] };
+        }
+        if (itemSync.errors.length > 0) {
+            return { errors: itemSync.errors };
+        }
+        if (!itemSync.keyed) {
+            LOG.warn('No PurchaseOrderItem keys in payload, matching items by position');
+        }
 
-            // Validation check for mandatory input structure
-            if (!poPayload || !poPayload.context || !poPayload.context.prRequisitionInputs) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid payload. Expecting poPayload.context.prRequisitionInputs.',
-                    receivedPayload: poPayload
-                });
-            }
+        const companyRule = companyRules.resolveCompanyRule(sourceData.CompanyId);
+        const itemKeyOf = (itemNumber) => ({ PurchaseOrder: poNumberToUpdate, PurchaseOrderItem: itemNumber });
+
+        // Existing lines: PATCH item, schedule line and account assignment where something changed
+        const updatedItems = itemSync.matched.map(({ index, input: item, current }) => {
+            const itemNumber = normalizeItemNumber(current.PurchaseOrderItem);
+            const itemKey = itemKeyOf(itemNumber);
+            const scheduleLine = current.to_ScheduleLine?.results?.[0];
+            const accountAssignment = current.to_AccountAssignment?.results?.[0];
+
+            const itemChanges = changedFields(current, {
+                "OrderQuantity": String(item.Quantity || 0),
+                "NetPriceAmount": pricing.lines[index].net,
+                "PurchaseOrderItemText": item.ItemDescription || "",
+                "MaterialGroup": item.MaterialGroup || ""
+            });
+            const scheduleLineChanges = changedFields(scheduleLine, {
+                "ScheduleLineDeliveryDate": convertDateToODataFormat(getValidFutureDate(item.LineEstDelivDate))
+            });
+            const accountChanges = changedFields(accountAssignment, {
+                "Quantity": String(item.Quantity || 0),
+                "GLAccount": item.GLaccount || "",
+                "CostCenter": item.CostCenter || "",
+                "MasterFixedAsset": item.AssetCode || "",
+                "OrderID": item.NominalCode || ""
+            });
 
-            // Extract the source data object
-            const sourceData = poPayload.context.prRequisitionInputs;
-            const poNumberToUpdate = sourceData.PO_number;
+            const operations = [
+                { url: entityUrl('', 'A_PurchaseOrderItem', itemKey), data: itemChanges },
+                {
+                    url: entityUrl('', 'A_PurOrdScheduleLine', { ...itemKey, ScheduleLine: scheduleLine?.ScheduleLine || '0001' }),
+                    data: scheduleLineChanges
+                },
+                {
+                    url: entityUrl('', 'A_PurOrdAccountAssignment', { ...itemKey, AccountAssignmentNumber: accountAssignment?.AccountAssignmentNumber || '01' }),
+                    data: accountChanges
+                }
+            ]
+                .filter(operation => Object.keys(operation.data).length > 0)
+                .map(operation => ({ method: 'PATCH', ...operation }));
+
+            // Pricing Element if applicable - only when the line's net price moves
+            const conditionType = item.ConditionType || "";
+            const conditionRateValue = determineConditionRateValue(
+                conditionType, item.Discount, item.DiscountAmt,
+                sourceData.LumpsumDiscount, sourceData.LumpsumDiscountAmt
+            );
 
-            // *** CRITICAL VALIDATION FOR UPDATE OPERATION ***
-            if (!poNumberToUpdate) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Missing Purchase Order number (sourceData.PO_number) required for update operation.',
-                });
+            // The condition is changed on the item's existing pricing element of that type
+            const updatesCondition = conditionRateValue !== "0" && conditionType && itemChanges.NetPriceAmount !== undefined;
+            const pricingElement = updatesCondition ? findPricingElement(current, conditionType) : undefined;
+            if (updatesCondition && !pricingElement) {
+                LOG.warn(`Item ${itemNumber} has no ${conditionType} pricing element, condition not updated`);
             }
+            const pricingOperation = pricingElement
+                ? {
+                    method: 'PATCH',
+                    url: entityUrl('', 'A_PurOrdPricingElement', {
+                        PurchaseOrder: pricingElement.PurchaseOrder,
+                        PurchaseOrderItem: pricingElement.PurchaseOrderItem,
+                        PricingDocument: pricingElement.PricingDocument,
+                        PricingDocumentItem: pricingElement.PricingDocumentItem,
+                        PricingProcedureStep: pricingElement.PricingProcedureStep,
+                        PricingProcedureCounter: pricingElement.PricingProcedureCounter
+                    }),
+                    data: { "ConditionRateValue": conditionRateValue }
+                }
+                : null;
+
+            return {
+                itemNumber,
+                action: operations.length > 0 ? 'updated' : 'unchanged',
+                changedFields: [itemChanges, scheduleLineChanges, accountChanges].flatMap(Object.keys),
+                operations,
+                pricingOperation
+            };
+        });
+
+        // New lines: deep insert with schedule line and account assignment
+        const createdItems = itemSync.created.map(({ index, input: item, itemNumber }) => ({
+            itemNumber,
+            action: 'created',
+            changedFields: [],
+            operations: [{
+                method: 'POST',
+                url: `${entityUrl('', 'A_PurchaseOrder', { PurchaseOrder: poNumberToUpdate })}/to_PurchaseOrderItem`,
+                data: buildPurchaseOrderItem(
+                    sourceData,
+                    { ...item, LineEstDelivDate: getValidFutureDate(item.LineEstDelivDate) },
+                    itemNumber, pricing.lines[index].net, companyRule, poNumberToUpdate
+                )
+            }],
+            pricingOperation: null
+        }));
+
+        // Lines no longer in the payload: set the deletion indicator
+        const deletedItems = itemSync.removed.map(current => {
+            const itemNumber = normalizeItemNumber(current.PurchaseOrderItem);
+            return {
+                itemNumber,
+                action: 'deleted',
+                changedFields: ['PurchasingDocumentDeletionCode'],
+                operations: [{
+                    method: 'PATCH',
+                    url: entityUrl('', 'A_PurchaseOrderItem', itemKeyOf(itemNumber)),
+                    data: { "PurchasingDocumentDeletionCode": DELETION_CODE }
+                }],
+                pricingOperation: null
+            };
+        });
 
-            // --- Logic Determinations ---
-            const poType = determinePurchaseOrderType(sourceData.CompanyId, sourceData.Budgeted);
-            const purchasingOrg = determinePurchasingOrganisation(sourceData.CompanyId);
+        return { itemOperations: [...updatedItems, ...createdItems, ...deletedItems] };
+    }
+
+    // Item status set on cancellation, see cds.poCancel.mode
+    const CANCELLATION_CODES = { delete: DELETION_CODE, block: BLOCKED_CODE };
+    const GOODS_RECEIPT = '101';
+    const GOODS_RECEIPT_REVERSAL = '102';
+
+    /**
+     * Plans a cancellation (PO_Request "2"): validates sourceData.CancelReason against ZAPI_PO_CCLREAS,
+     * refuses when goods receipts exist and sets the deletion indicator (or block) on every open item.
+     *
+     * @returns {Promise<{itemOperations: object[], cancellation: object}|{error: {code: string, message: string, details?: object}}>}
+     */
+    async function planPurchaseOrderCancellation(poNumber, sourceData, currentItems) {
+        const mode = cds.env.poCancel?.mode || 'delete';
+        const deletionCode = CANCELLATION_CODES[mode];
+        if (!deletionCode) {
+            throw new Error(`Invalid cds.poCancel.mode '${mode}', expected one of: ${Object.keys(CANCELLATION_CODES).join(', ')}`);
+        }
 
-            // *** Validate and adjust dates to be in the future ***
-            const getValidFutureDate = (dateString) => {
-                if (!dateString) {
-                    const futureDate = new Date();
-                    futureDate.setDate(futureDate.getDate() + 30);
-                    return futureDate.toISOString().split('T')[0];
+        // --- Reason code ---
+        const reasonCode = String(sourceData.CancelReason ?? '').trim();
+        const reasonsResponse = await executeS4Request({
+            method: 'GET',
+            url: '/sap/opu/odata/sap/ZAPI_PO_CCLREAS_CDS/ZAPI_PO_CCLREAS',
+            headers: { 'Accept': 'application/json' },
+            timeout: 60000
+        });
+        const reasons = reasonsResponse.data?.d?.results || [];
+        const reason = reasons.find(entry => entry.reason_code === reasonCode);
+        if (!reason) {
+            return {
+                error: {
+                    code: 'PO_CANCEL_REASON_INVALID',
+                    message: reasonCode
+                        ? `Unknown cancellation reason '${reasonCode}'.`
+                        : 'Missing cancellation reason (sourceData.CancelReason).',
+                    details: { validReasons: reasons.map(entry => ({ code: entry.reason_code, text: entry.reason_text })) }
                 }
+            };
+        }
 
-                const inputDate = new Date(dateString);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
+        // --- Open items ---
+        const cancelledCodes = Object.values(CANCELLATION_CODES);
+        const openItems = currentItems.filter(item => !cancelledCodes.includes(item.PurchasingDocumentDeletionCode));
+        if (openItems.length === 0) {
+            return { error: { code: 'PO_NOT_CANCELLABLE', message: `Purchase Order ${poNumber} has no open items to cancel.` } };
+        }
 
-                if (inputDate < today) {
-                    console.warn(`Date ${dateString} is in the past. Setting to tomorrow.`);
-                    const tomorrow = new Date();
-                    tomorrow.setDate(tomorrow.getDate() + 1);
-                    return tomorrow.toISOString().split('T')[0];
+        // --- Goods receipts (101 minus reversals 102) ---
+        const grQuery = new ODataQuery('A_MaterialDocumentItem').where('PurchaseOrder', poNumber);
+        const grResponse = await executeS4Request({
+            method: 'GET',
+            url: `/sap/opu/odata/sap/API_MATERIAL_DOCUMENT_SRV/A_MaterialDocumentItem?${grQuery}`,
+            headers: { 'Accept': 'application/json' },
+            timeout: 60000
+        });
+        const receivedQuantities = new Map();
+        for (const line of grResponse.data?.d?.results || []) {
+            const sign = line.GoodsMovementType === GOODS_RECEIPT ? 1 : line.GoodsMovementType === GOODS_RECEIPT_REVERSAL ? -1 : 0;
+            if (!sign) continue;
+            const itemNumber = normalizeItemNumber(line.PurchaseOrderItem);
+            receivedQuantities.set(itemNumber, (receivedQuantities.get(itemNumber) || 0) + sign * Number(line.QuantityInEntryUnit || 0));
+        }
+        const goodsReceipts = [...receivedQuantities.entries()]
+            .filter(([, quantity]) => quantity > 0)
+            .map(([itemNumber, quantity]) => ({ itemNumber, quantity: String(quantity) }));
+        if (goodsReceipts.length > 0) {
+            LOG.warn(`PO ${poNumber} not cancelled, goods receipts exist for items ${goodsReceipts.map(gr => gr.itemNumber).join(', ')}`);
+            return {
+                error: {
+                    code: 'PO_NOT_CANCELLABLE',
+                    message: `Purchase Order ${poNumber} cannot be cancelled, goods receipts exist.`,
+                    details: { goodsReceipts }
                 }
+            };
+        }
 
-                return dateString;
+        return {
+            cancellation: {
+                PurchaseOrder: poNumber,
+                reasonCode,
+                reasonText: reason.reason_text,
+                mode,
+                alreadyCancelledItems: currentItems
+                    .filter(item => cancelledCodes.includes(item.PurchasingDocumentDeletionCode))
+                    .map(item => normalizeItemNumber(item.PurchaseOrderItem))
+            },
+            itemOperations: openItems.map(item => {
+                const itemNumber = normalizeItemNumber(item.PurchaseOrderItem);
+                return {
+                    itemNumber,
+                    action: 'cancelled',
+                    changedFields: ['PurchasingDocumentDeletionCode'],
+                    operations: [{
+                        method: 'PATCH',
+                        url: entityUrl('', 'A_PurchaseOrderItem', { PurchaseOrder: poNumber, PurchaseOrderItem: itemNumber }),
+                        data: { "PurchasingDocumentDeletionCode": deletionCode }
+                    }],
+                    pricingOperation: null
+                };
+            })
+        };
+    }
+
+    const ITEM_ACTION_MESSAGES = {
+        created: 'Item created successfully',
+        updated: 'Item updated successfully',
+        deleted: 'Item marked for deletion',
+        cancelled: 'Item cancelled',
+        unchanged: 'Item unchanged'
+    };
+
+    const itemUpdateResult = ({ itemNumber, action, changedFields }, error) => {
+        if (!error) {
+            return { itemNumber, action, changedFields, success: true, message: ITEM_ACTION_MESSAGES[action] };
+        }
+        const { code, message } = translateError(error);
+        return { itemNumber, action, success: false, error: message, errorCode: code };
+    };
+
+    /**
+     * Groups item numbers by action, e.g. { created: ['00030'], updated: [...], deleted: [...], unchanged: [...] }.
+     */
+    const summarizeItemChanges = (items) => Object.fromEntries(
+        Object.keys(ITEM_ACTION_MESSAGES).map(action => [
+            action,
+            items.filter(item => item.action === action).map(item => item.itemNumber)
+        ])
+    );
+
+    /**
+     * Sends the header and all item operations (PATCH, POST of new lines, deletion indicator)
+     * as one $batch changeset, so S/4 commits or rolls back the whole update. Pricing element
+     * PATCHes stay best effort and are only sent once that changeset is committed, in a second
+     * $batch with one changeset each; a failure there is reported as the item's pricingError.
+     *
+     * @param {object} headerOperation - { method, url, data } with url relative to the service root.
+     * @param {Array<{itemNumber, operations, pricingOperation}>} itemOperations
+     * @returns {Promise<{committed: boolean, itemUpdateResults: object[], error?: object}>}
+     */
+    async function updatePurchaseOrderInBatch(headerOperation, itemOperations) {
+        const mainChangeset = [headerOperation, ...itemOperations.flatMap(item => item.operations)];
+
+        LOG.info(`Sending PO update as $batch: ${mainChangeset.length} operations`);
+        const [main] = await executeBatch(executeS4Request, PO_SERVICE_PATH, [mainChangeset]);
+
+        if (!main.success) {
+            LOG.error('PO update changeset rolled back:', main.error.message);
+            return {
+                committed: false,
+                error: main.error,
+                itemUpdateResults: itemOperations.map(item => itemUpdateResult(item, main.error))
             };
+        }
+        LOG.info('✓ PO header and items updated in one changeset');
+
+        const itemUpdateResults = itemOperations.map(item => itemUpdateResult(item));
+        const pricingItems = itemOperations.filter(item => item.pricingOperation);
+        if (pricingItems.length > 0) {
+            LOG.info(`Sending ${pricingItems.length} pricing element update(s) as $batch`);
+            const pricingResults = await executeBatch(executeS4Request, PO_SERVICE_PATH, pricingItems.map(item => [item.pricingOperation]))
+                .catch(error => pricingItems.map(() => ({ success: false, error })));
+
+            pricingResults.forEach((result, index) => {
+                if (result.success) return;
+                const { itemNumber } = pricingItems[index];
+                LOG.warn(`Pricing element update skipped for item ${itemNumber}:`, result.error.message);
+                itemUpdateResults.find(itemResult => itemResult.itemNumber === itemNumber).pricingError = translateError(result.error).message;
+            });
+        }
+
+        return { committed: true, itemUpdateResults };
+    }
+
+    /**
+     * Sends the same operations one call at a time (cds.poUpdate.batch = false).
+     * A failing item is reported in itemUpdateResults while the other items are still updated.
+     */
+    async function updatePurchaseOrderSequentially(headerOperation, itemOperations) {
+        const send = (operation) => executeS4Request({
+            method: operation.method,
+            url: `${PO_SERVICE_PATH}/${operation.url}`,
+            headers: {
+                'X-Requested-With': 'X',
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            data: operation.data,
+            timeout: 90000
+        });
+
+        await send(headerOperation);
+        LOG.info('✓ PO Header updated');
+
+        const itemUpdateResults = [];
+        for (const item of itemOperations) {
+            try {
+                for (const operation of item.operations) {
+                    await send(operation);
+                }
+                const result = itemUpdateResult(item);
+                if (item.pricingOperation) {
+                    await send(item.pricingOperation).catch(err => {
+                        LOG.warn(`Pricing element update skipped for item ${item.itemNumber}:`, err.message);
+                        result.pricingError = translateError(err).message;
+                    });
+                }
+                LOG.info(`✓ Item ${item.itemNumber} ${item.action}`);
+                itemUpdateResults.push(result);
+            } catch (itemError) {
+                LOG.error(`Error updating item ${item.itemNumber}:`, itemError.message);
+                itemUpdateResults.push(itemUpdateResult(item, itemError));
+            }
+        }
+        return { committed: true, itemUpdateResults };
+    }
+
+    const auditPoUpdate = auditMiddleware(
+        (req) => req.body.context.prRequisitionInputs.PO_Request === "2" ? 'PO_CANCEL' : 'PO_UPDATE',
+        {
+            prNumber: (req) => req.body.context.prRequisitionInputs.PRNumber,
+            poNumber: (req) => req.body.context.prRequisitionInputs.PO_number,
+            documentNumber: (req, body) => body.A_PurchaseOrder.A_PurchaseOrderType.PurchaseOrder
+        }
+    );
+
+    const poUpdateValidation = prRequisitionValidation(
+        (req) => req.body?.context?.prRequisitionInputs?.PO_Request === "2" ? 'cancel' : 'update'
+    );
+
+    app.post("/http/PRPO/Update", basicAuthMiddleware, unlessDryRun(auditPoUpdate), poUpdateValidation, async (req, res) => {
+
+        try {
+            LOG.info('=== PO Update/Cancel Started ===');
+            const poPayload = req.body;
+
+            // Extract the source data object (structure and PO_number checked by poUpdateValidation)
+            const sourceData = poPayload.context.prRequisitionInputs;
+            const poNumberToUpdate = sourceData.PO_number;
+            const purchaseOrderUrl = entityUrl(PO_SERVICE_PATH, 'A_PurchaseOrder', { PurchaseOrder: poNumberToUpdate });
+
+            // PO type and purchasing organization are set at creation (company code rules) and not changed here
 
             // ***************************************************************
-            // STEP 1: Update PO Header (Only header fields, NO nested items)
+            // STEP 1: Read the current PO items and match them to the BPA items
             // ***************************************************************
-            const headerPayload = {
-                // "Supplier": sourceData.Vendor_Recommendation || "",
-                "PurchasingGroup": sourceData.PurchasingGroup || "",
-                "DocumentCurrency": sourceData.Currency_Code || "",
-                "SupplierRespSalesPersonName": `${sourceData.PO_Request === "2"
-                    ? `${sourceData.PRNumber} - Cancel`
-                    : `${sourceData.PRNumber} - PO Updated`
-                    }`
+            const currentItemsResponse = await executeS4Request({
+                method: 'GET',
+                url: `${purchaseOrderUrl}/to_PurchaseOrderItem?$expand=to_ScheduleLine,to_AccountAssignment,to_PurchaseOrderPricingElement`,
+                headers: { 'Accept': 'application/json' },
+                timeout: 90000
+            });
+            const currentItems = currentItemsResponse.data?.d?.results || [];
+
+            // ***************************************************************
+            // STEP 2: Build the PO Header and per item operations
+            //         (cancellation, or item sync with changed fields only)
+            // ***************************************************************
+            const isCancellation = sourceData.PO_Request === "2";
+            const headerOperation = {
+                method: 'PATCH',
+                url: entityUrl('', 'A_PurchaseOrder', { PurchaseOrder: poNumberToUpdate }),
+                // A cancel request only marks the header, it carries no purchasing data
+                data: isCancellation
+                    ? { "SupplierRespSalesPersonName": `${sourceData.PRNumber} - Cancel` }
+                    : {
+                        // "Supplier": sourceData.Vendor_Recommendation || "",
+                        "PurchasingGroup": sourceData.PurchasingGroup || "",
+                        "DocumentCurrency": sourceData.Currency_Code || "",
+                        "SupplierRespSalesPersonName": `${sourceData.PRNumber} - PO Updated`
+                    }
             };
 
-            console.log('Step 1: Updating PO Header:', poNumberToUpdate);
+            const pricing = calculatePricing(sourceData);
+            let itemOperations;
+            let cancellation = null;
 
-            await executeS4Request({
-                method: 'PATCH',
-                url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder('${poNumberToUpdate}')`,
-                headers: {
-                    'X-Requested-With': 'X',
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                data: headerPayload,
-                timeout: 90000
-            });
+            if (isCancellation) {
+                const plan = await planPurchaseOrderCancellation(poNumberToUpdate, sourceData, currentItems);
+                if (plan.error) {
+                    return sendError(res, plan.error.code, plan.error.message, plan.error.details);
+                }
+                ({ itemOperations, cancellation } = plan);
+            } else {
+                const plan = planItemSync(poNumberToUpdate, sourceData, currentItems, pricing);
+                if (plan.errors) {
+                    return sendError(res, 'PO_ITEM_MISMATCH', `Items do not match Purchase Order ${poNumberToUpdate}.`, { errors: plan.errors });
+                }
+                itemOperations = plan.itemOperations;
+            }
 
-            console.log('✓ PO Header updated');
+            const useBatch = cds.env.poUpdate?.batch !== false;
+
+            if (isDryRun(req)) {
+                const withServicePath = (operation) => ({ ...operation, url: `${PO_SERVICE_PATH}/${operation.url}` });
+                LOG.info('✓ PO Update dry run, nothing sent to S/4');
+                return res.status(200).json({
+                    success: true,
+                    dryRun: true,
+                    PurchaseOrder: poNumberToUpdate,
+                    Pricing: pricing,
+                    transport: useBatch ? '$batch' : 'sequential',
+                    mainPayload: withServicePath(headerOperation),
+                    changeSummary: summarizeItemChanges(itemOperations),
+                    ...(cancellation && { cancellationResult: cancellation }),
+                    itemPayloads: itemOperations.map(({ itemNumber, action, changedFields, operations, pricingOperation }) => ({
+                        itemNumber,
+                        action,
+                        changedFields,
+                        requests: [...operations, ...(pricingOperation ? [pricingOperation] : [])].map(withServicePath)
+                    }))
+                });
+            }
 
             // ***************************************************************
-            // STEP 2: Update Each Item Individually
+            // STEP 3: Send the updates - one $batch changeset, or call by call
             // ***************************************************************
-            const itemUpdateResults = [];
-
-            if (sourceData.Item && sourceData.Item.length > 0) {
-                for (let index = 0; index < sourceData.Item.length; index++) {
-                    const item = sourceData.Item[index];
-                    const itemNumber = String((index + 1) * 10).padStart(5, '0');
-
-                    console.log(`Step 2.${index + 1}: Updating Item ${itemNumber}`);
-
-                    // Update Item Basic Data
-                    const itemPayload = {
-                        "OrderQuantity": String(item.Quantity || 0),
-                        "NetPriceAmount": String(item.UnitPrice || 0),
-                        "PurchaseOrderItemText": item.ItemDescription || "",
-                        "MaterialGroup": item.MaterialGroup || ""
-                    };
-
-                    try {
-                        await executeS4Request({
-                            method: 'PATCH',
-                            url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrderItem(PurchaseOrder='${poNumberToUpdate}',PurchaseOrderItem='${itemNumber}')`,
-                            headers: {
-                                'X-Requested-With': 'X',
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json'
-                            },
-                            data: itemPayload,
-                            timeout: 90000
-                        });
-
-                        console.log(`✓ Item ${itemNumber} basic data updated`);
-
-                        // ***************************************************************
-                        // STEP 3: Update Schedule Line for this Item
-                        // ***************************************************************
-                        const validDeliveryDate = getValidFutureDate(item.LineEstDelivDate);
-                        const scheduleLineOData = convertDateToODataFormat(validDeliveryDate);
-
-                        const scheduleLinePayload = {
-                            "ScheduleLineDeliveryDate": scheduleLineOData
-                        };
-
-                        await executeS4Request({
-                            method: 'PATCH',
-                            url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurOrdScheduleLine(PurchaseOrder='${poNumberToUpdate}',PurchaseOrderItem='${itemNumber}',ScheduleLine='0001')`,
-                            headers: {
-                                'X-Requested-With': 'X',
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json'
-                            },
-                            data: scheduleLinePayload,
-                            timeout: 90000
-                        });
-
-                        console.log(`✓ Item ${itemNumber} schedule line updated`);
-
-                        // ***************************************************************
-                        // STEP 4: Update Account Assignment for this Item
-                        // ***************************************************************
-                        const accountPayload = {
-                            "Quantity": String(item.Quantity || 0),
-                            "GLAccount": item.GLaccount || "",
-                            "CostCenter": item.CostCenter || "",
-                            "MasterFixedAsset": item.AssetCode || "",
-                            "OrderID": item.NominalCode || ""
-                        };
-
-                        await executeS4Request({
-                            method: 'PATCH',
-                            url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurOrdAccountAssignment(PurchaseOrder='${poNumberToUpdate}',PurchaseOrderItem='${itemNumber}',AccountAssignmentNumber='01')`,
-                            headers: {
-                                'X-Requested-With': 'X',
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json'
-                            },
-                            data: accountPayload,
-                            timeout: 90000
-                        });
-
-                        console.log(`✓ Item ${itemNumber} account assignment updated`);
-
-                        // ***************************************************************
-                        // STEP 5: Update Pricing Element if applicable
-                        // ***************************************************************
-                        const conditionType = item.ConditionType || "";
-                        const conditionRateValue = determineConditionRateValue(
-                            conditionType, item.Discount, item.DiscountAmt,
-                            sourceData.LumpsumDiscount, sourceData.LumpsumDiscountAmt
-                        );
-
-                        if (conditionRateValue !== "0" && conditionType) {
-                            const pricingPayload = {
-                                "ConditionRateValue": conditionRateValue
-                            };
-
-                            // Note: You may need to find the existing condition record first
-                            // This is a simplified example - adjust based on your needs
-                            await executeS4Request({
-                                method: 'PATCH',
-                                url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurOrdPricingElement(PurchaseOrder='${poNumberToUpdate}',PurchaseOrderItem='${itemNumber}',PricingDocument='',PricingDocumentItem='',PricingProcedureStep='',PricingProcedureCounter='')`,
-                                headers: {
-                                    'X-Requested-With': 'X',
-                                    'Content-Type': 'application/json',
-                                    'Accept': 'application/json'
-                                },
-                                data: pricingPayload,
-                                timeout: 90000
-                            }).catch(err => {
-                                console.warn(`Pricing element update skipped for item ${itemNumber}:`, err.message);
-                            });
-                        }
+            const poUpdate = useBatch
+                ? await updatePurchaseOrderInBatch(headerOperation, itemOperations)
+                : await updatePurchaseOrderSequentially(headerOperation, itemOperations);
+            const itemUpdateResults = poUpdate.itemUpdateResults;
 
-                        itemUpdateResults.push({
-                            itemNumber,
-                            success: true,
-                            message: 'Item updated successfully'
-                        });
-
-                    } catch (itemError) {
-                        console.error(`Error updating item ${itemNumber}:`, itemError.message);
-                        itemUpdateResults.push({
-                            itemNumber,
-                            success: false,
-                            error: itemError.message
-                        });
-                    }
-                }
+            if (!poUpdate.committed) {
+                return sendError(res, poUpdate.error, `Purchase Order ${poNumberToUpdate} was not updated, S/4 rolled back all changes`, { itemUpdateResults });
             }
 
-            console.log('✓ All updates completed for PO:', poNumberToUpdate);
+            LOG.info('✓ All updates completed for PO:', poNumberToUpdate);
 
             // ***************************************************************
             // STEP 6: Fetch the updated PO to return current state
             // ***************************************************************
             const poResponse = await executeS4Request({
                 method: 'GET',
-                url: `/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder('${poNumberToUpdate}')`,
+                url: purchaseOrderUrl,
                 headers: {
                     'Accept': 'application/json'
                 },
@@ -1830,17 +2158,21 @@ module.exports = cds.service.impl(async function () {
 
             // Add item update summary
             transformedResponse.itemUpdateResults = itemUpdateResults;
+            transformedResponse.changeSummary = summarizeItemChanges(itemUpdateResults.filter(result => result.success));
+            if (cancellation) {
+                transformedResponse.cancellationResult = {
+                    ...cancellation,
+                    cancelledItems: itemUpdateResults.filter(result => result.success).map(result => result.itemNumber),
+                    failedItems: itemUpdateResults.filter(result => !result.success).map(result => result.itemNumber)
+                };
+            }
 
             // Return the transformed response structure
             return res.status(200).json(transformedResponse);
 
         } catch (error) {
-            console.error('PO update error:', error);
-            return res.status(500).json({
-                success: false,
-                message: `Failed to update PO: ${error.message}`,
-                error: error.response?.data || error.message
-            });
+            LOG.error('PO update error:', error);
+            return sendError(res, error, 'Failed to update PO');
         }
     });
 
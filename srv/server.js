@@ -2,20 +2,38 @@
 const cds = require('@sap/cds');
 const cors = require('cors');
 const express = require('express');
+const { AsyncResource } = require('async_hooks');
+const { logger } = require('./lib/logger');
+const { requestContextMiddleware } = require('./lib/request-context');
+const { s4SystemMiddleware, allDestinationNames, logResolvedSystems } = require('./lib/s4-systems');
+const { metricsMiddleware, metricsHandler } = require('./lib/metrics');
+const { basicAuthMiddleware, requireScope } = require('./lib/credential-store');
+
+const LOG = logger('server');
 
 // =======================================================================
 // 🛡️ GLOBAL ERROR HANDLERS
 // =======================================================================
 process.on('uncaughtException', (error) => {
-    console.error('🚨 FATAL: Uncaught Exception', error.stack || error.message);
+    LOG.error('🚨 FATAL: Uncaught Exception', error);
     process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('⚠️ CRITICAL: Unhandled Promise Rejection', reason);
+process.on('unhandledRejection', (reason) => {
+    LOG.error('⚠️ CRITICAL: Unhandled Promise Rejection', reason);
     process.exit(1);
 });
 
+// =======================================================================
+// 🧪 Local S/4HANA and clamd Mocks (cds profile: mock-s4)
+// =======================================================================
+if (cds.env.s4mock?.enabled) {
+    require('../mock/s4/server').start({ destinations: allDestinationNames(), ...cds.env.s4mock });
+}
+if (cds.env.clamavMock?.enabled) {
+    require('../mock/clamav/server').start(cds.env.clamavMock);
+}
+
 // =======================================================================
 // 🌍 CORS Configuration - Centralized
 // =======================================================================
@@ -60,9 +78,14 @@ const corsOptions = {
         'Authorization',
         'x-csrf-token',
         'X-CSRF-Token',
-        'Cookie'
+        'Cookie',
+        'Idempotency-Key',
+        'If-None-Match',
+        'X-Dry-Run',
+        'X-S4-System',
+        'X-Correlation-ID'
     ],
-    exposedHeaders: ['x-csrf-token', 'set-cookie'],
+    exposedHeaders: ['x-csrf-token', 'set-cookie', 'Idempotent-Replayed', 'ETag', 'X-Cache', 'X-Total-Count', 'X-Result-Truncated', 'X-Correlation-ID'],
     credentials: true,
     maxAge: 86400, // 24 hours - cache preflight requests
     optionsSuccessStatus: 200
@@ -72,7 +95,7 @@ const corsOptions = {
 // 🧩 Bootstrap Phase - BEFORE CAP Routes
 // =======================================================================
 cds.on('bootstrap', (app) => {
-    console.log('🚀 Initializing CAP Server with custom middleware...');
+    LOG.info('🚀 Initializing CAP Server with custom middleware...');
     
     // 1. Apply CORS FIRST (before any other middleware)
     app.use(cors(corsOptions));
@@ -84,17 +107,26 @@ cds.on('bootstrap', (app) => {
     app.use(express.json({ limit: '50mb' }));
     app.use(express.urlencoded({ extended: true, limit: '50mb' }));
     
-    // 4. Request logging middleware
+    // 4. Per-request context (correlation id, S/4 status for the audit trail, ...)
+    app.use(requestContextMiddleware);
+    app.use(s4SystemMiddleware);
+    
+    // 5. Request logging middleware (bound to the request context for the correlation id)
     app.use((req, res, next) => {
         const start = Date.now();
-        res.on('finish', () => {
-            const duration = Date.now() - start;
-            console.log(`[${req.method}] ${req.path} - ${res.statusCode} (${duration}ms)`);
-        });
+        res.on('finish', AsyncResource.bind(() => {
+            LOG.info(`[${req.method}] ${req.path} - ${res.statusCode}`, {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Date.now() - start
+            });
+        }));
         next();
     });
+    app.use(metricsMiddleware);
     
-    // 5. Security headers
+    // 6. Security headers
     app.use((req, res, next) => {
         res.setHeader('X-Content-Type-Options', 'nosniff');
         res.setHeader('X-Frame-Options', 'SAMEORIGIN');
@@ -102,21 +134,30 @@ cds.on('bootstrap', (app) => {
         next();
     });
     
-    console.log('✅ Global middleware configured');
+    LOG.info('✅ Global middleware configured');
 });
 
 // =======================================================================
 // 🚀 Served Phase - AFTER CAP Routes
 // =======================================================================
-cds.on('served', () => {
+cds.on('served', async () => {
     const app = cds.app;
+
+    // Deploy the persistence model (schema evolution keeps existing data)
+    if (cds.db) {
+        await cds.deploy('*').to(cds.db);
+        LOG.info('✅ Database schema deployed');
+    }
     
+    // S/4 system per service (cds.s4Systems)
+    logResolvedSystems(['ProxyService', 'ApprovalService']);
+
     // Configure server timeouts
     app.on('listening', ({ server }) => {
         server.keepAliveTimeout = 150000; // 2.5 minutes
         server.headersTimeout = 155000;   // Slightly higher than keepAlive
         server.timeout = 150000;
-        console.log('✅ Server timeouts configured: 150s');
+        LOG.info('✅ Server timeouts configured: 150s');
     });
     
     // Health check endpoint
@@ -128,12 +169,15 @@ cds.on('served', () => {
         });
     });
     
+    // Prometheus metrics (API client scope 'metrics')
+    app.get('/metrics', basicAuthMiddleware, requireScope('metrics'), metricsHandler);
+
     // Readiness probe
     app.get('/ready', (req, res) => {
         res.status(200).json({ ready: true });
     });
     
-    console.log('✅ Server routes initialized');
+    LOG.info('✅ Server routes initialized');
 });
 
 module.exports = cds.server;
\ No newline at end of file
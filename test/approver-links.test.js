@@ -0,0 +1,66 @@
+// approver-links.test.js - Issuing and verifying signed, single-use approver links (srv/lib/approver-links.js)
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const cds = require('@sap/cds');
+const { deployInMemory } = require('./support/db');
+const { issueApproverLink, verifyApproverLink } = require('../srv/lib/approver-links');
+
+const APPROVER = { workflowId: 'wf-1', role: 'Approver', email: 'approver@example.com' };
+
+describe('approver links', () => {
+    let config;
+    before(async () => {
+        await deployInMemory();
+        config = { ...cds.env.approverLinks };
+    });
+    afterEach(() => Object.assign(cds.env.approverLinks, config));
+
+    it('issues a link to the review app and verifies it once', async () => {
+        const { url, token, expiresAt } = await issueApproverLink({ ...APPROVER, delegateApprover: 'delegate@example.com' });
+        assert.equal(url, `${cds.env.approverLinks.baseUrl}(value='${token}')`);
+        assert.ok(new Date(expiresAt) > new Date());
+
+        assert.deepEqual(await verifyApproverLink(token, 'ui'), {
+            workflowId: 'wf-1',
+            role: 'Approver',
+            email: 'approver@example.com',
+            delegateApprover: 'delegate@example.com',
+            expiresAt
+        });
+        await assert.rejects(verifyApproverLink(token, 'ui'), { code: 'APPROVER_LINK_USED' });
+
+        const nonce = await SELECT.one.from('cap.proxy.ApproverLinkNonces').where({ WorkflowId: 'wf-1' });
+        assert.equal(nonce.UsedBy, 'ui');
+    });
+
+    it('rejects a link whose claims were changed', async () => {
+        const { token } = await issueApproverLink(APPROVER);
+        const [header, payload, signature] = token.split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const forged = Buffer.from(JSON.stringify({ ...claims, role: 'Admin' })).toString('base64url');
+        await assert.rejects(verifyApproverLink(`${header}.${forged}.${signature}`), { code: 'APPROVER_LINK_INVALID', message: /signature/ });
+    });
+
+    it('rejects malformed tokens', async () => {
+        for (const token of [undefined, '', 'abc', 'a.b', 'a.b.c.d']) {
+            await assert.rejects(verifyApproverLink(token), { code: 'APPROVER_LINK_INVALID' }, String(token));
+        }
+    });
+
+    it('rejects an expired link', async () => {
+        cds.env.approverLinks.ttl = 0;
+        const { token } = await issueApproverLink(APPROVER);
+        await assert.rejects(verifyApproverLink(token), { code: 'APPROVER_LINK_EXPIRED' });
+    });
+
+    it('rejects a validly signed link whose nonce is unknown', async () => {
+        const { token } = await issueApproverLink({ ...APPROVER, workflowId: 'wf-2' });
+        await DELETE.from('cap.proxy.ApproverLinkNonces').where({ WorkflowId: 'wf-2' });
+        await assert.rejects(verifyApproverLink(token), { code: 'APPROVER_LINK_INVALID', message: /unknown/ });
+    });
+
+    it('refuses to issue links without a review app URL', async () => {
+        cds.env.approverLinks.baseUrl = '';
+        await assert.rejects(issueApproverLink(APPROVER), /cds\.approverLinks\.baseUrl/);
+    });
+});
@@ -0,0 +1,35 @@
+// attachments.test.js - Mapping of S/4 AttachmentContentSet records (srv/lib/attachments.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toAttachmentContent } = require('../srv/lib/attachments');
+
+describe('toAttachmentContent', () => {
+    it('maps a complete record', () => {
+        const content = toAttachmentContent({
+            FileName: 'quote.pdf',
+            MimeType: 'application/pdf',
+            LinkedSAPObjectKey: '4500000001',
+            CreationDateTime: '/Date(1763637844000)/',
+            ChangedDateTime: '/Date(1763637844000+0000)/',
+            AttachmentDeletionIsAllowed: true,
+            AttachmentRenameIsAllowed: false,
+            FileSize: '1024'
+        });
+
+        assert.equal(content.FileName, 'quote.pdf');
+        assert.equal(content.CreationDateTime, '2025-11-20T11:24:04.000');
+        assert.equal(content.ChangedDateTime, '2025-11-20T11:24:04.000');
+        assert.equal(content.AttachmentDeletionIsAllowed, 'true');
+        assert.equal(content.AttachmentRenameIsAllowed, 'false');
+    });
+
+    it('maps a minimal S/4 response without throwing', () => {
+        const content = toAttachmentContent({ FileName: 'quote.pdf', LinkedSAPObjectKey: '4500000001' });
+
+        assert.equal(content.FileName, 'quote.pdf');
+        assert.equal(content.CreationDateTime, '');
+        assert.equal(content.AttachmentDeletionIsAllowed, '');
+        assert.equal(content.AttachmentRenameIsAllowed, '');
+        assert.equal(toAttachmentContent(undefined).AttachmentDeletionIsAllowed, '');
+    });
+});
@@ -0,0 +1,69 @@
+// credential-store.test.js - API client authentication, attempt limit and reloads (srv/lib/credential-store.js)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CredentialStore, hashSecret } = require('../srv/lib/credential-store');
+
+const CLIENT = { clientId: 'bpa', secretHash: hashSecret('s3cret'), routes: ['/http/*'], scopes: [] };
+
+describe('CredentialStore', () => {
+    let dir;
+    let clientsFile;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credential-store-'));
+        clientsFile = path.join(dir, 'api-clients.json');
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const storeWith = async (clients, options = {}) => {
+        fs.writeFileSync(clientsFile, JSON.stringify(clients));
+        return new CredentialStore({ clientsFile, ...options }).load();
+    };
+
+    it('authenticates a client and rejects a wrong secret', async () => {
+        const store = await storeWith([CLIENT]);
+
+        assert.equal((await store.authenticate('bpa', 's3cret', '10.0.0.1')).client.clientId, 'bpa');
+        assert.deepEqual(await store.authenticate('bpa', 'wrong', '10.0.0.1'), { reason: 'invalid secret' });
+        assert.deepEqual(await store.authenticate('nobody', 's3cret', '10.0.0.1'), { reason: 'unknown client' });
+    });
+
+    it('throttles an IP after too many secret checks, but still accepts verified pairs', async () => {
+        const store = await storeWith([CLIENT], { maxFailedAttempts: 2, failedAttemptWindow: 60000 });
+        assert.ok((await store.authenticate('bpa', 's3cret', '10.0.0.1')).client);
+
+        await store.authenticate('bpa', 'guess-1', '10.0.0.2');
+        await store.authenticate('bpa', 'guess-2', '10.0.0.2');
+        const { reason, retryAfter } = await store.authenticate('bpa', 'guess-3', '10.0.0.2');
+        assert.equal(reason, 'too many failed attempts');
+        assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+        assert.ok((await store.authenticate('bpa', 's3cret', '10.0.0.2')).client);
+        assert.equal((await store.authenticate('bpa', 'guess-4', '10.0.0.3')).reason, 'invalid secret');
+    });
+
+    it('counts checks still in progress towards the limit', async () => {
+        const store = await storeWith([CLIENT], { maxFailedAttempts: 3 });
+        const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(guess => store.authenticate('bpa', guess, '10.0.0.4')));
+        assert.deepEqual(results.map(result => result.reason), [
+            'invalid secret', 'invalid secret', 'invalid secret', 'too many failed attempts', 'too many failed attempts'
+        ]);
+    });
+
+    it('keeps the previous clients when a reload fails', async () => {
+        const store = await storeWith([CLIENT]);
+        fs.writeFileSync(clientsFile, '[{ "clientId": ');
+        await store.refresh();
+        assert.equal(store.clients.size, 1);
+
+        fs.writeFileSync(clientsFile, JSON.stringify({ clientId: 'bpa' }));
+        await store.refresh();
+        assert.ok((await store.authenticate('bpa', 's3cret')).client);
+
+        fs.writeFileSync(clientsFile, JSON.stringify([{ ...CLIENT, clientId: 'ui' }]));
+        await store.refresh();
+        assert.deepEqual([...store.clients.keys()], ['ui']);
+    });
+});
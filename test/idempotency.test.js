@@ -0,0 +1,216 @@
+// idempotency.test.js - Idempotency keys of the PO create route (srv/lib/idempotency.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { deployInMemory } = require('./support/db');
+const { idempotencyMiddleware, purgeExpiredKeys, releaseKey } = require('../srv/lib/idempotency');
+
+const ROUTE = '/http/post/data';
+const KEYS_ENTITY = 'cap.proxy.IdempotencyKeys';
+
+/**
+ * Minimal express response: json()/end() finish it, 'close' follows like on a real socket.
+ */
+function fakeResponse() {
+    const res = new EventEmitter();
+    return Object.assign(res, {
+        statusCode: 200,
+        headers: {},
+        writableFinished: false,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this.end(); },
+        end() {
+            this.writableFinished = true;
+            this.emit('finish');
+            this.emit('close');
+            return this;
+        }
+    });
+}
+
+const middleware = idempotencyMiddleware(req => req.body?.PRNumber);
+
+/**
+ * Runs the middleware with a route handler and resolves with the response once it closed.
+ */
+async function call(body, route, headers = {}) {
+    const req = { path: ROUTE, headers, body };
+    const res = fakeResponse();
+    const closed = new Promise(resolve => res.once('close', resolve));
+    let ran = false;
+    await middleware(req, res, () => {
+        ran = true;
+        return route(req, res);
+    });
+    await closed;
+    return Object.assign(res, { ran });
+}
+
+const respond = (status, body) => (req, res) => res.status(status).json(body);
+
+const stored = (key) => SELECT.one.from(KEYS_ENTITY).where({ IdempotencyKey: `${ROUTE}:${key}` });
+
+// Outcomes written from the 'close' handler are persisted asynchronously
+async function storedOnceSettled(key) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const record = await stored(key);
+        if (record?.Status !== 'IN_PROGRESS') return record;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return stored(key);
+}
+
+describe('idempotencyMiddleware', () => {
+    before(deployInMemory);
+
+    it('passes requests without a key through', async () => {
+        const res = await call({}, respond(201, { ok: true }));
+        assert.equal(res.ran, true);
+        assert.equal(res.statusCode, 201);
+    });
+
+    it('replays the stored response of a completed request', async () => {
+        const body = { PRNumber: 'PR-1', Item: [{ Quantity: '1' }] };
+        const first = await call(body, respond(201, { PurchaseOrder: '4500000100' }));
+        assert.equal(first.statusCode, 201);
+        assert.equal((await stored('PR-1')).Status, 'COMPLETED');
+
+        const retry = await call(body, respond(201, { PurchaseOrder: '4500000101' }));
+        assert.equal(retry.ran, false);
+        assert.equal(retry.statusCode, 201);
+        assert.equal(retry.headers['idempotent-replayed'], 'true');
+        assert.deepEqual(retry.body, { PurchaseOrder: '4500000100' });
+    });
+
+    it('prefers the Idempotency-Key header over the fallback key', async () => {
+        await call({ PRNumber: 'PR-2' }, respond(201, {}), { 'idempotency-key': 'client-key' });
+        assert.ok(await stored('client-key'));
+        assert.equal(await stored('PR-2'), undefined);
+    });
+
+    it('rejects the same key with a different payload', async () => {
+        await call({ PRNumber: 'PR-3', Item: [] }, respond(201, {}));
+        const res = await call({ PRNumber: 'PR-3', Item: [{}] }, respond(201, {}));
+        assert.equal(res.ran, false);
+        assert.equal(res.statusCode, 422);
+        assert.equal(res.body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('rejects a duplicate while the first request is still running', async () => {
+        let finish;
+        const pending = call({ PRNumber: 'PR-4' }, (req, res) => { finish = () => res.status(201).json({}); });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const duplicate = await call({ PRNumber: 'PR-4' }, respond(201, {}));
+        assert.equal(duplicate.ran, false);
+        assert.equal(duplicate.statusCode, 409);
+        assert.equal(duplicate.body.error.code, 'CONFLICT');
+
+        finish();
+        await pending;
+    });
+
+    it('runs the route again after a 4xx, also with a corrected payload', async () => {
+        const rejected = await call({ PRNumber: 'PR-5', Item: [] }, respond(400, { error: { code: 'S4_VALIDATION_ERROR' } }));
+        assert.equal(rejected.statusCode, 400);
+        assert.equal((await stored('PR-5')).Status, 'FAILED');
+
+        const retry = await call({ PRNumber: 'PR-5', Item: [{}] }, respond(201, { PurchaseOrder: '4500000102' }));
+        assert.equal(retry.ran, true);
+        assert.equal((await stored('PR-5')).Status, 'COMPLETED');
+    });
+
+    it('runs the route again when the circuit breaker refused the S/4 call', async () => {
+        await call({ PRNumber: 'PR-6' }, respond(503, { error: { code: 'S4_CIRCUIT_OPEN' } }));
+        assert.equal((await stored('PR-6')).Status, 'FAILED');
+        assert.equal((await call({ PRNumber: 'PR-6' }, respond(201, {}))).ran, true);
+    });
+
+    it('keeps the key locked after a 5xx and returns the stored outcome', async () => {
+        const failure = { success: false, error: { code: 'S4_TIMEOUT' } };
+        await call({ PRNumber: 'PR-7' }, respond(504, failure));
+        assert.equal((await stored('PR-7')).Status, 'INDETERMINATE');
+
+        const retry = await call({ PRNumber: 'PR-7' }, respond(201, {}));
+        assert.equal(retry.ran, false);
+        assert.equal(retry.statusCode, 409);
+        assert.equal(retry.body.error.code, 'IDEMPOTENCY_OUTCOME_UNKNOWN');
+        assert.equal(retry.body.previousOutcome.status, 504);
+        assert.deepEqual(retry.body.previousOutcome.body, failure);
+    });
+
+    it('stores the outcome of routes answering with res.end', async () => {
+        await call({ PRNumber: 'PR-8' }, (req, res) => res.status(204).end());
+        assert.equal((await storedOnceSettled('PR-8')).Status, 'COMPLETED');
+
+        const retry = await call({ PRNumber: 'PR-8' }, respond(201, {}));
+        assert.equal(retry.ran, false);
+        assert.equal(retry.statusCode, 204);
+    });
+
+    it('treats a route that throws as indeterminate', async () => {
+        const res = await call({ PRNumber: 'PR-9' }, () => { throw new Error('boom'); });
+        assert.equal(res.statusCode, 500);
+        assert.equal((await stored('PR-9')).Status, 'INDETERMINATE');
+    });
+
+    it('treats a connection closed before the response as indeterminate', async () => {
+        const req = { path: ROUTE, headers: {}, body: { PRNumber: 'PR-10' } };
+        const res = fakeResponse();
+        await middleware(req, res, () => res.emit('close'));
+
+        const record = await storedOnceSettled('PR-10');
+        assert.equal(record.Status, 'INDETERMINATE');
+        assert.equal(record.ResponseStatus, null);
+    });
+});
+
+describe('purgeExpiredKeys', () => {
+    before(deployInMemory);
+
+    it('deletes completed and failed keys past the retention, never indeterminate ones', async () => {
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+        const key = (name, Status, modifiedAt) => ({ IdempotencyKey: `${ROUTE}:${name}`, Route: ROUTE, RequestHash: '-', Status, modifiedAt });
+        await INSERT.into(KEYS_ENTITY).entries([
+            key('old-completed', 'COMPLETED', old),
+            key('old-failed', 'FAILED', old),
+            key('old-indeterminate', 'INDETERMINATE', old),
+            key('new-completed', 'COMPLETED', new Date().toISOString())
+        ]);
+
+        assert.equal(await purgeExpiredKeys(30), 2);
+        assert.equal(await stored('old-completed'), undefined);
+        assert.equal(await stored('old-failed'), undefined);
+        assert.ok(await stored('old-indeterminate'));
+        assert.ok(await stored('new-completed'));
+    });
+});
+
+describe('releaseKey', () => {
+    before(deployInMemory);
+
+    it('releases an indeterminate key so the route runs again', async () => {
+        await call({ PRNumber: 'PR-20' }, respond(504, { error: { code: 'S4_TIMEOUT' } }));
+        assert.equal((await releaseKey(ROUTE, 'PR-20')).Status, 'INDETERMINATE');
+        assert.equal(await stored('PR-20'), undefined);
+
+        const retry = await call({ PRNumber: 'PR-20' }, respond(201, { PurchaseOrder: '4500000120' }));
+        assert.equal(retry.ran, true);
+        assert.equal((await stored('PR-20')).Status, 'COMPLETED');
+    });
+
+    it('refuses keys with a definite result, running requests and unknown keys', async () => {
+        await call({ PRNumber: 'PR-21' }, respond(201, {}));
+        await assert.rejects(releaseKey(ROUTE, 'PR-21'), { code: 'CONFLICT' });
+
+        let finish;
+        const pending = call({ PRNumber: 'PR-22' }, (req, res) => { finish = () => res.status(201).json({}); });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await assert.rejects(releaseKey(ROUTE, 'PR-22'), { code: 'CONFLICT' });
+        finish();
+        await pending;
+
+        await assert.rejects(releaseKey(ROUTE, 'PR-unknown'), { code: 'NOT_FOUND' });
+    });
+});
@@ -0,0 +1,51 @@
+// input-validation.test.js - JSON Schema validation of prRequisitionInputs (srv/lib/input-validation.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePrRequisitionInputs } = require('../srv/lib/input-validation');
+
+const item = (fields) => ({ Quantity: '2', UnitPrice: '100', GLaccount: '61000000', CostCenter: 'ZB01100', ...fields });
+const body = (fields) => ({ context: { prRequisitionInputs: { PRNumber: 'PR-1', CompanyId: 'ZB01', Currency_Code: 'BND', ...fields } } });
+
+// Empty form fields as BPA sends them
+const EMPTY_OPTIONALS = { LumpsumDiscount: '', LumpsumDiscountAmt: '', lumpsumDiscount: '', lumpsumDiscountAmt: '' };
+const EMPTY_ITEM_OPTIONALS = { Discount: '', DiscountAmt: '', LineEstDelivDate: '' };
+
+const paths = (result) => result.violations.map(violation => violation.path);
+
+describe('validatePrRequisitionInputs', () => {
+    it('accepts empty optional discount and date fields on every profile', () => {
+        const payload = body({ ...EMPTY_OPTIONALS, PO_number: '4500000001', Item: [item(EMPTY_ITEM_OPTIONALS)] });
+        for (const profile of ['create', 'update', 'approverRequired']) {
+            assert.deepEqual(validatePrRequisitionInputs(payload, profile), { valid: true, version: '1', violations: [] }, profile);
+        }
+    });
+
+    it('still rejects values that are not numbers or dates', () => {
+        const result = validatePrRequisitionInputs(body({
+            LumpsumDiscountAmt: 'ten',
+            Item: [item({ Discount: '101', DiscountAmt: '-5', LineEstDelivDate: '31.01.2099' })]
+        }), 'create');
+        assert.deepEqual(paths(result), [
+            '$.context.prRequisitionInputs.Item[0].Discount',
+            '$.context.prRequisitionInputs.Item[0].DiscountAmt',
+            '$.context.prRequisitionInputs.Item[0].LineEstDelivDate',
+            '$.context.prRequisitionInputs.LumpsumDiscountAmt'
+        ]);
+    });
+
+    it('does not treat an empty quantity or unit price as not sent', () => {
+        const result = validatePrRequisitionInputs(body({ Item: [item({ Quantity: '', UnitPrice: '' })] }), 'create');
+        assert.deepEqual(result.violations, [
+            { path: '$.context.prRequisitionInputs.Item[0].Quantity', message: 'must be a number > 0' },
+            { path: '$.context.prRequisitionInputs.Item[0].UnitPrice', message: 'must be a number >= 0' }
+        ]);
+    });
+
+    it('lists missing required fields by JSON path', () => {
+        const result = validatePrRequisitionInputs(body({ CompanyId: undefined, Item: [item({ GLaccount: undefined })] }), 'create');
+        assert.deepEqual(result.violations, [
+            { path: '$.context.prRequisitionInputs.CompanyId', message: 'is required' },
+            { path: '$.context.prRequisitionInputs.Item[0].GLaccount', message: 'is required' }
+        ]);
+    });
+});
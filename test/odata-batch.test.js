@@ -0,0 +1,97 @@
+// odata-batch.test.js - $batch request body and response parsing (srv/lib/odata-batch.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBatchBody, parseMultipart, parseHttpPart, parseBatchResponse, executeBatch } = require('../srv/lib/odata-batch');
+
+const CRLF = '\r\n';
+
+// Response parts as S/4 writes them
+const httpResponse = (status, body, contentId) => [
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    ...(contentId ? [`Content-ID: ${contentId}`] : []),
+    '',
+    `HTTP/1.1 ${status}`,
+    'Content-Type: application/json',
+    '',
+    body === undefined ? '' : JSON.stringify(body)
+].join(CRLF);
+
+const multipart = (boundary, parts) => [...parts.map(part => `--${boundary}${CRLF}${part}`), `--${boundary}--`, ''].join(CRLF);
+
+const changesetPart = (boundary, parts) => `Content-Type: multipart/mixed; boundary=${boundary}${CRLF}${CRLF}${multipart(boundary, parts)}`;
+
+describe('buildBatchBody', () => {
+    it('writes one changeset per entry, readable by the multipart parser', () => {
+        const { boundary, body } = buildBatchBody([
+            [
+                { method: 'PATCH', url: "A_PurchaseOrder('4500000001')", data: { PurchasingGroup: 'P01' } },
+                { method: 'POST', url: "A_PurchaseOrder('4500000001')/to_PurchaseOrderItem", data: { OrderQuantity: '1' } }
+            ],
+            [{ method: 'DELETE', url: "A_PurchaseOrderItem(PurchaseOrder='4500000001',PurchaseOrderItem='00010')" }]
+        ]);
+
+        assert.match(boundary, /^batch_/);
+        assert.ok(body.includes(CRLF), 'lines end with CRLF');
+
+        const changesets = parseMultipart(body, boundary);
+        assert.equal(changesets.length, 2);
+        const requests = changesets.map(changeset => changeset.parts.map(parseHttpPart));
+        assert.deepEqual(requests[0].map(request => [request.contentId, request.method, request.url, request.body]), [
+            ['1.1', 'PATCH', "A_PurchaseOrder('4500000001')", { PurchasingGroup: 'P01' }],
+            ['1.2', 'POST', "A_PurchaseOrder('4500000001')/to_PurchaseOrderItem", { OrderQuantity: '1' }]
+        ]);
+        assert.deepEqual([requests[1][0].method, requests[1][0].body], ['DELETE', '']);
+    });
+});
+
+describe('parseBatchResponse', () => {
+    it('maps a committed changeset and a rolled back one onto the changesets sent', () => {
+        const body = multipart('batch_1', [
+            changesetPart('changeset_1', [httpResponse('204 No Content', undefined, '1.1'), httpResponse('201 Created', { d: { PurchaseOrderItem: '00020' } }, '1.2')]),
+            httpResponse('400 Bad Request', { error: { code: 'ME/006', message: { value: 'User JDOE is already processing Purchase order 4500000001' } } })
+        ]);
+
+        const [committed, rolledBack] = parseBatchResponse(body, 'multipart/mixed; boundary=batch_1');
+
+        assert.equal(committed.success, true);
+        assert.deepEqual(committed.responses.map(response => response.status), [204, 201]);
+        assert.equal(committed.responses[1].body.d.PurchaseOrderItem, '00020');
+
+        assert.equal(rolledBack.success, false);
+        assert.equal(rolledBack.error.status, 400);
+        assert.equal(rolledBack.error.message, 'User JDOE is already processing Purchase order 4500000001');
+        assert.equal(rolledBack.error.body.error.code, 'ME/006');
+    });
+
+    it('fails a changeset when one of its responses is an error', () => {
+        const body = multipart('batch_2', [changesetPart('changeset_2', [httpResponse('204 No Content'), httpResponse('404 Not Found', 'not json')])]);
+        const [result] = parseBatchResponse(body, 'multipart/mixed; boundary="batch_2"');
+        assert.equal(result.success, false);
+        assert.equal(result.error.status, 404);
+    });
+
+    it('rejects a response that is not multipart', () => {
+        assert.throws(() => parseBatchResponse('{}', 'application/json'), /Unexpected \$batch response content type/);
+    });
+});
+
+describe('executeBatch', () => {
+    it('posts to <service>/$batch with the boundary and parses the answer', async () => {
+        let sent;
+        const execute = async (config) => {
+            sent = config;
+            return {
+                headers: { 'content-type': 'multipart/mixed; boundary=batch_3' },
+                data: multipart('batch_3', [changesetPart('changeset_3', [httpResponse('204 No Content')])])
+            };
+        };
+
+        const results = await executeBatch(execute, '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV', [[{ method: 'PATCH', url: "A_PurchaseOrder('1')", data: {} }]]);
+
+        assert.equal(sent.method, 'POST');
+        assert.equal(sent.url, '/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/$batch');
+        assert.match(sent.headers['Content-Type'], /^multipart\/mixed; boundary=batch_/);
+        assert.deepEqual(results.map(result => result.success), [true]);
+    });
+});
@@ -0,0 +1,82 @@
+// po-item-sync.test.js - Item matching and change detection of the PO update (srv/lib/po-item-sync.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeItemNumber, changedFields, matchPurchaseOrderItems } = require('../srv/lib/po-item-sync');
+
+const poItem = (number, fields = {}) => ({ PurchaseOrderItem: number, PurchasingDocumentDeletionCode: '', ...fields });
+const numbers = (entries) => entries.map(entry => entry.itemNumber ?? entry.current?.PurchaseOrderItem ?? entry.PurchaseOrderItem);
+
+describe('normalizeItemNumber', () => {
+    it('pads item numbers to 5 digits', () => {
+        assert.equal(normalizeItemNumber('10'), '00010');
+        assert.equal(normalizeItemNumber(20), '00020');
+        assert.equal(normalizeItemNumber(' 00030 '), '00030');
+        assert.equal(normalizeItemNumber(''), undefined);
+    });
+
+    it('rejects anything else with INVALID_ITEM_KEY', () => {
+        assert.throws(() => normalizeItemNumber('10a'), { code: 'INVALID_ITEM_KEY' });
+        assert.throws(() => normalizeItemNumber('123456'), { code: 'INVALID_ITEM_KEY' });
+    });
+});
+
+describe('changedFields', () => {
+    it('returns only the fields that differ, numbers compared numerically', () => {
+        const current = { OrderQuantity: '10.000', NetPriceAmount: '45.00', PurchaseOrderItemText: 'Paper', MaterialGroup: null };
+        assert.deepEqual(changedFields(current, {
+            OrderQuantity: '10',
+            NetPriceAmount: '40.50',
+            PurchaseOrderItemText: 'Paper',
+            MaterialGroup: ''
+        }), { NetPriceAmount: '40.50' });
+    });
+
+    it('treats a missing record as all fields changed', () => {
+        assert.deepEqual(changedFields(undefined, { GLAccount: '61000000' }), { GLAccount: '61000000' });
+    });
+});
+
+describe('matchPurchaseOrderItems', () => {
+    const current = [poItem('00010'), poItem('00020'), poItem('00030', { PurchasingDocumentDeletionCode: 'L' })];
+
+    it('matches by PurchaseOrderItem, creates unkeyed items and removes the rest', () => {
+        const result = matchPurchaseOrderItems([{ PurchaseOrderItem: '20' }, { ItemDescription: 'new' }], current);
+        assert.equal(result.keyed, true);
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(numbers(result.matched), ['00020']);
+        assert.deepEqual(result.matched.map(entry => entry.index), [0]);
+        // New numbers continue after the highest existing one, deleted items included
+        assert.deepEqual(numbers(result.created), ['00040']);
+        assert.deepEqual(numbers(result.removed), ['00010']);
+    });
+
+    it('matches by position when no item carries a key', () => {
+        const result = matchPurchaseOrderItems([{}, {}, {}], current);
+        assert.equal(result.keyed, false);
+        assert.deepEqual(numbers(result.matched), ['00010', '00020']);
+        // Position 3 is a deleted item, so a new line is created
+        assert.deepEqual(numbers(result.created), ['00040']);
+        assert.deepEqual(result.removed, []);
+    });
+
+    it('never removes lines by position: a dropped middle line is an error', () => {
+        const result = matchPurchaseOrderItems([{ ItemDescription: 'first' }, { ItemDescription: 'third' }], [poItem('00010'), poItem('00020'), poItem('00030')]);
+        assert.equal(result.keyed, false);
+        assert.deepEqual(result.removed, []);
+        assert.deepEqual(result.errors, [
+            'PO item 00030 has no item at its position in the payload; send PurchaseOrderItem with every item to remove or reorder lines'
+        ]);
+    });
+
+    it('reports duplicate, unknown and deleted item keys', () => {
+        const result = matchPurchaseOrderItems([{ PurchaseOrderItem: '10' }, { PurchaseOrderItem: '00010' }, { PurchaseOrderItem: '30' }, { PurchaseOrderItem: '90' }], current);
+        assert.equal(result.errors.length, 3);
+        assert.match(result.errors[0], /Item\[1\]: PurchaseOrderItem 00010 is used more than once/);
+        assert.match(result.errors[1], /Item\[2\]: PurchaseOrderItem 00030 does not exist or is deleted/);
+        assert.match(result.errors[2], /Item\[3\]: PurchaseOrderItem 00090 does not exist/);
+    });
+
+    it('rejects malformed item keys', () => {
+        assert.throws(() => matchPurchaseOrderItems([{ PurchaseOrderItem: 'x' }], current), { code: 'INVALID_ITEM_KEY' });
+    });
+});
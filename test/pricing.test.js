@@ -0,0 +1,66 @@
+// pricing.test.js - Line and header pricing of srv/lib/pricing.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePricing, sumNetPriceAmounts } = require('../srv/lib/pricing');
+
+const nets = (inputs) => calculatePricing(inputs).lines.map(line => line.net);
+
+describe('calculatePricing', () => {
+    it('applies the item discount as percentage before the amount', () => {
+        assert.deepEqual(nets({
+            Item: [
+                { UnitPrice: '100', Quantity: '2', Discount: '10', DiscountAmt: '50' },
+                { UnitPrice: '33.33', Quantity: '1', DiscountAmt: '3' }
+            ]
+        }), ['180.00', '30.33']);
+    });
+
+    it('splits LumpsumDiscountAmt pro rata, the last line takes the remainder', () => {
+        const { lines, header } = calculatePricing({
+            LumpsumDiscountAmt: '10',
+            Item: [
+                { UnitPrice: '100', Quantity: '1' },
+                { UnitPrice: '100', Quantity: '1' },
+                { UnitPrice: '100', Quantity: '1' }
+            ]
+        });
+        assert.deepEqual(lines.map(line => line.lumpsumShare), ['3.33', '3.33', '3.34']);
+        assert.equal(header.lumpsumDiscount, '10.00');
+        assert.equal(header.net, '290.00');
+    });
+
+    it('applies LumpsumDiscount % after the item discount', () => {
+        assert.deepEqual(nets({ LumpsumDiscount: '10', Item: [{ UnitPrice: '50', Quantity: '2', DiscountAmt: '20' }] }), ['72.00']);
+    });
+
+    it('prefers LumpsumDiscountAmt over LumpsumDiscount', () => {
+        assert.deepEqual(nets({ LumpsumDiscount: '50', LumpsumDiscountAmt: '5', Item: [{ UnitPrice: '10', Quantity: '1' }] }), ['5.00']);
+    });
+
+    it('truncates the net amount to 2 decimals', () => {
+        assert.deepEqual(nets({ Item: [{ UnitPrice: '0.333', Quantity: '3' }, { UnitPrice: '10.999', Quantity: '1' }] }), ['0.99', '10.99']);
+    });
+
+    it('treats an empty field as not sent and falls back to the lower case spelling', () => {
+        assert.deepEqual(nets({ LumpsumDiscount: '', lumpsumDiscount: '10', Item: [{ UnitPrice: '100', Quantity: '1' }] }), ['90.00']);
+        assert.deepEqual(nets({ LumpsumDiscountAmt: ' ', lumpsumDiscountAmt: '30', Item: [{ UnitPrice: '200', Quantity: '1' }, { UnitPrice: '100', Quantity: '1' }] }), ['180.00', '90.00']);
+    });
+
+    it('uses decimal arithmetic', () => {
+        assert.deepEqual(nets({ Item: [{ UnitPrice: '0.1', Quantity: '3' }] }), ['0.30']);
+    });
+
+    it('rejects amounts that are not numbers with INVALID_AMOUNT', () => {
+        assert.throws(() => calculatePricing({ Item: [{ UnitPrice: '12,50', Quantity: '1' }] }), { code: 'INVALID_AMOUNT', message: /Item\[0\]\.UnitPrice/ });
+    });
+
+    it('numbers the lines like S/4', () => {
+        assert.deepEqual(calculatePricing({ Item: [{}, {}] }).lines.map(line => line.itemNumber), ['00010', '00020']);
+    });
+});
+
+describe('sumNetPriceAmounts', () => {
+    it('sums the NetPriceAmount of PO items', () => {
+        assert.equal(sumNetPriceAmounts([{ NetPriceAmount: '0.10' }, { NetPriceAmount: '0.20' }, {}]), '0.30');
+    });
+});
@@ -0,0 +1,156 @@
+// smoke.test.js - Starts the proxy with the S/4 and clamd stand-ins (profile mock-s4) and calls its main routes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 14004;
+const BASE_URL = `http://localhost:${PORT}`;
+// dev:dev from mock/api-clients.json
+const AUTHORIZATION = `Basic ${Buffer.from('dev:dev').toString('base64')}`;
+const STARTUP_TIMEOUT_MS = 60000;
+
+// Ports apart from `cds watch --profile development,mock-s4`, so the test runs next to it
+const ENV = {
+    CDS_ENV: 'development,mock-s4',
+    PORT: String(PORT),
+    cds_requires_db_credentials_url: ':memory:',
+    cds_s4mock_port: '14005',
+    cds_clamavMock_port: '13310',
+    cds_attachments_scanner_port: '13310'
+};
+
+const post = (route, body, headers = {}) => fetch(`${BASE_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Authorization': AUTHORIZATION, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+const get = (route) => fetch(`${BASE_URL}${route}`, { headers: { 'Authorization': AUTHORIZATION } });
+
+const item = (fields) => ({ Quantity: '2', UnitPrice: '100', GLaccount: '61000000', CostCenter: 'ZB01100', LineEstDelivDate: '2099-01-31', ...fields });
+const prRequisition = (fields) => ({ context: { prRequisitionInputs: { CompanyId: 'ZB01', Budgeted: 'Yes', Currency_Code: 'BND', ...fields } } });
+
+async function waitForHealth(server) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) throw new Error(`Server exited with ${server.exitCode}`);
+        try {
+            if ((await fetch(`${BASE_URL}/health`)).ok) return;
+        } catch {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms`);
+}
+
+describe('proxy against the S/4 mock', () => {
+    let server;
+    let output = '';
+
+    before(async () => {
+        server = spawn(process.execPath, [path.join(ROOT, 'node_modules', '@sap', 'cds', 'bin', 'serve.js')], {
+            cwd: ROOT,
+            env: { ...process.env, ...ENV },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        server.stdout.on('data', chunk => { output += chunk; });
+        server.stderr.on('data', chunk => { output += chunk; });
+        try {
+            await waitForHealth(server);
+        } catch (error) {
+            server.kill();
+            throw new Error(`${error.message}\n${output}`);
+        }
+    }, { timeout: STARTUP_TIMEOUT_MS + 5000 });
+
+    after(async () => {
+        if (!server || server.exitCode !== null) return;
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    });
+
+    it('creates a PO once per PR number and replays the response', async () => {
+        const payload = prRequisition({ PRNumber: 'PR-SMOKE-1', Item: [item({ Discount: '10' }), item({ Quantity: '1', UnitPrice: '50' })] });
+
+        const created = await post('/http/post/data', payload);
+        assert.equal(created.status, 201);
+        const { PurchaseOrder } = (await created.json()).A_PurchaseOrder.A_PurchaseOrderType;
+        assert.match(PurchaseOrder, /^45\d{8}$/);
+
+        const replayed = await post('/http/post/data', payload);
+        assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+        assert.equal((await replayed.json()).A_PurchaseOrder.A_PurchaseOrderType.PurchaseOrder, PurchaseOrder);
+
+        const items = await (await fetch(`http://localhost:${ENV.cds_s4mock_port}/sap/opu/odata/sap/API_PURCHASEORDER_PROCESS_SRV/A_PurchaseOrder('${PurchaseOrder}')/to_PurchaseOrderItem`)).json();
+        assert.deepEqual(items.d.results.map(poItem => poItem.NetPriceAmount), ['180.00', '50.00']);
+    });
+
+    it('rejects an invalid payload with the violations', async () => {
+        const res = await post('/http/post/data', prRequisition({ PRNumber: 'PR-SMOKE-2', Item: [item({ GLaccount: undefined })] }));
+        assert.equal(res.status, 400);
+        const body = await res.json();
+        assert.equal(body.error.code, 'VALIDATION_FAILED');
+        assert.deepEqual(body.violations.map(violation => violation.path), ['$.context.prRequisitionInputs.Item[0].GLaccount']);
+    });
+
+    it('plans an update with the keys of the existing pricing element (dry run)', async () => {
+        const res = await post('/http/PRPO/Update?dryRun=true', prRequisition({
+            PO_number: '4500000001',
+            PRNumber: 'PR-SMOKE-3',
+            Item: [item({ PurchaseOrderItem: '00010', Quantity: '10', UnitPrice: '50', Discount: '20', ConditionType: 'RA00' })]
+        }));
+        assert.equal(res.status, 200);
+        const plan = await res.json();
+        assert.equal(plan.transport, '$batch');
+        assert.deepEqual(plan.changeSummary.updated, ['00010']);
+        const pricing = plan.itemPayloads[0].requests.find(request => request.url.includes('A_PurOrdPricingElement'));
+        assert.match(pricing.url, /PricingDocument='5000000001',PricingDocumentItem='000010',PricingProcedureStep='020',PricingProcedureCounter='001'/);
+        assert.deepEqual(pricing.data, { ConditionRateValue: '20' });
+    });
+
+    it('updates PO items in one changeset', async () => {
+        const res = await post('/http/PRPO/Update', prRequisition({
+            PO_number: '4500000001',
+            PRNumber: 'PR-SMOKE-4',
+            Item: [item({ PurchaseOrderItem: '00010', Quantity: '12', UnitPrice: '45' }), item({ Quantity: '1', UnitPrice: '5' })]
+        }));
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.deepEqual(body.changeSummary.updated, ['00010']);
+        assert.deepEqual(body.changeSummary.created, ['00020']);
+        assert.ok(body.itemUpdateResults.every(result => result.success));
+    });
+
+    it('lists the attachments of a PO', async () => {
+        const res = await get('/odata/v4/attachment/po/4500000001');
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.count, 2);
+        assert.ok(body.attachments.every(attachment => attachment.id && attachment.fileName));
+    });
+
+    it('issues an approver link that verifies once', async () => {
+        const issued = await post('/http/get/Approverlink', { Role: 'L1', email: 'approver@example.com', Workflow_id: 'wf-smoke' });
+        assert.equal(issued.status, 200);
+        const token = (await issued.json()).response.url.match(/value='([^']+)'/)[1];
+
+        const verified = await post('/http/get/Approverlink/verify', { token });
+        assert.equal(verified.status, 200);
+        const used = await post('/http/get/Approverlink/verify', { token });
+        assert.equal(used.status, 410);
+        assert.equal((await used.json()).error.code, 'APPROVER_LINK_USED');
+    });
+
+    it('maps S/4 business errors to the error envelope', async () => {
+        const res = await post('/http/PRPO/Update', prRequisition({
+            PO_number: '4599999999',
+            PRNumber: 'PR-SMOKE-5',
+            Item: [item()]
+        }));
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).error.code, 'S4_NOT_FOUND');
+    });
+});
@@ -0,0 +1,11 @@
+// db.js - In-memory SQLite database with the db/ model, for tests of the db-backed libs
+const cds = require('@sap/cds');
+const path = require('path');
+
+async function deployInMemory() {
+    const db = await cds.connect.to('db', { kind: 'sqlite', credentials: { url: ':memory:' } });
+    await cds.deploy(path.join(__dirname, '..', '..', 'db')).to(db);
+    return db;
+}
+
+module.exports = { deployInMemory };
@@ -0,0 +1,72 @@
+// upload-policy.test.js - Magic byte sniffing and the attachment allowlist (srv/lib/upload-policy.js)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffFormat, checkUpload } = require('../srv/lib/upload-policy');
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+const EXE = Buffer.from('MZ\x90\x00\x03\x00');
+const ELF = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01]);
+
+describe('sniffFormat', () => {
+    it('recognizes formats by their first bytes', () => {
+        assert.equal(sniffFormat(PDF), 'pdf');
+        assert.equal(sniffFormat(PNG), 'png');
+        assert.equal(sniffFormat(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpeg');
+        assert.equal(sniffFormat(Buffer.from('GIF89a....')), 'gif');
+        assert.equal(sniffFormat(ZIP), 'zip');
+        assert.equal(sniffFormat(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])), 'ole');
+    });
+
+    it('flags executables and scripts', () => {
+        assert.equal(sniffFormat(EXE), 'executable');
+        assert.equal(sniffFormat(ELF), 'executable');
+        assert.equal(sniffFormat(Buffer.from('#!/bin/sh\nrm -rf /')), 'executable');
+    });
+
+    it('accepts text with tabs and line breaks, nothing with other control characters', () => {
+        assert.equal(sniffFormat(Buffer.from('Item;Qty\r\nPaper\t10\n')), 'text');
+        assert.equal(sniffFormat(Buffer.from('Müller;€')), 'text');
+        assert.equal(sniffFormat(Buffer.from([0x41, 0x00, 0x42])), undefined);
+    });
+});
+
+describe('checkUpload', () => {
+    let dir;
+    const spooled = (name, content, mimetype) => {
+        const filePath = path.join(dir, `${Math.random().toString(36).slice(2)}.upload`);
+        fs.writeFileSync(filePath, content);
+        return { originalname: name, mimetype, path: filePath };
+    };
+
+    before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-policy-test-')); });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('accepts a file whose extension, MIME type and content agree', async () => {
+        assert.deepEqual(await checkUpload(spooled('Angebot.PDF', PDF, 'application/pdf')), { extension: '.pdf', contentType: 'application/pdf' });
+    });
+
+    it('takes the type from the allowlist for a generic MIME type', async () => {
+        const { contentType } = await checkUpload(spooled('scan.png', PNG, 'application/octet-stream'));
+        assert.equal(contentType, 'image/png');
+    });
+
+    it('rejects extensions that are not allowed', async () => {
+        await assert.rejects(checkUpload(spooled('setup.exe', EXE, 'application/octet-stream')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED', message: /'\.exe' is not allowed/ });
+        await assert.rejects(checkUpload(spooled('README', 'text', 'text/plain')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED', message: /'none'/ });
+    });
+
+    it('rejects a MIME type of another extension', async () => {
+        await assert.rejects(checkUpload(spooled('invoice.pdf', PDF, 'text/html')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED', message: /MIME type 'text\/html'/ });
+    });
+
+    it('rejects content that does not match the extension', async () => {
+        await assert.rejects(checkUpload(spooled('invoice.pdf', EXE, 'application/pdf')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED', message: /is not a \.pdf file/ });
+        await assert.rejects(checkUpload(spooled('report.docx', PDF, 'application/octet-stream')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED' });
+        await assert.rejects(checkUpload(spooled('list.csv', ELF, 'text/csv')), { code: 'ATTACHMENT_TYPE_NOT_ALLOWED' });
+    });
+});